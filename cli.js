@@ -1,95 +1,450 @@
 #!/usr/bin/env node
 
 import fs from "fs";
+import { basename, dirname, resolve } from "path";
 import { argv } from "node:process";
-import { collectionToHTML } from "./index.js";
+import { parseArgs } from "util";
+import { getLanguages, loadCollection, renderCollection } from "./index.js";
+import { DEFAULT_OUTPUT_FILES, OPTIONS } from "./lib/options.js";
+import { startPreviewServer } from "./lib/preview-server.js";
 
-// Parse and validate command-line arguments
-if (argv.length < 3) {
-  console.error(
-    "Usage: node cli.js <input-file.json> [--output=output-file.html] [--lang=language] [--logo=logo.svg] [--divider=h1|h2|h3|h4|h5|h6]"
-  );
-  console.error("Options:");
-  console.error(
-    "  --output=file.html    Output HTML file (default: api-doc.html)"
-  );
-  console.error(
-    "  --lang=language       Language for documentation (default: en)"
-  );
-  console.error("  --logo=logo.svg       SVG logo file to embed (optional)");
-  console.error(
-    "  --divider=h1-h6       Heading level to add border-bottom (optional)"
+// Config file looked up in the working directory, and the package.json key
+// that can hold the same settings
+const CONFIG_FILE_NAME = "postman-to-html.config.json";
+const PACKAGE_JSON_KEY = "postman-to-html";
+
+const FLAG_OPTIONS = OPTIONS.filter((option) => option.flag);
+
+// Languages of the built-in translations, with their English names
+const LANGUAGES = getLanguages();
+const displayNames = new Intl.DisplayNames(["en"], { type: "language" });
+
+// Help text generated from the option schema
+function getHelp() {
+  const flags = FLAG_OPTIONS.map((option) => {
+    let value = "";
+    if (option.placeholder) {
+      value = option.optionalValue
+        ? `[=${option.placeholder}]`
+        : ` <${option.placeholder}>`;
+    }
+    return [
+      `${option.alias ? `-${option.alias}, ` : "    "}--${option.flag}${value}`,
+      option.description,
+    ];
+  });
+  const width = Math.max(...flags.map(([flag]) => flag.length)) + 2;
+
+  return [
+    "Usage: node cli.js <input-file.json|openapi.yaml|url|-> [options]",
+    "Input: a Postman collection or an OpenAPI/Swagger spec (JSON or YAML), as a file, an http(s) URL, or - to read stdin",
+    "Options:",
+    ...flags.map(
+      ([flag, description]) => `  ${flag.padEnd(width)}${description}`
+    ),
+    `Available languages: ${LANGUAGES.map(
+      (language) => `${language} (${displayNames.of(language)})`
+    ).join(", ")}, or any other with --translations`,
+    `Settings are also read from ${CONFIG_FILE_NAME} or the "${PACKAGE_JSON_KEY}" key of package.json, with the option names of the API; flags take precedence.`,
+  ].join("\n");
+}
+
+// Comma-separated option values
+const parseList = (value) =>
+  value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+// Value of an option given as a command-line flag
+function parseFlagValue(option, value) {
+  if (option.negate) return !value;
+  if (option.optionalValue && value === "") return option.default;
+  if (option.type === "list") return value.flatMap(parseList);
+  if (option.type === "number") return Number(value);
+  if (option.nullable && value === "") return null;
+  return value;
+}
+
+// Settings of the config file: the one given with --config, or
+// postman-to-html.config.json, or the postman-to-html key of package.json.
+// Relative file paths are resolved from the directory of the config file.
+function loadConfig(configPath) {
+  let file = configPath;
+  let config = null;
+
+  try {
+    if (file) {
+      config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } else if (fs.existsSync(CONFIG_FILE_NAME)) {
+      file = CONFIG_FILE_NAME;
+      config = JSON.parse(fs.readFileSync(file, "utf8"));
+    } else if (fs.existsSync("package.json")) {
+      file = "package.json";
+      config = JSON.parse(fs.readFileSync(file, "utf8"))[PACKAGE_JSON_KEY];
+    }
+  } catch (error) {
+    throw new Error(`Could not read config file '${file}': ${error.message}`);
+  }
+  if (config === undefined || config === null) return {};
+  if (typeof config !== "object" || Array.isArray(config)) {
+    throw new Error(`Config in '${file}' must be an object`);
+  }
+
+  const directory = dirname(resolve(file));
+  const resolvePath = (value) =>
+    value === "-" || /^https?:\/\//i.test(value)
+      ? value
+      : resolve(directory, value);
+  const settings = {};
+  Object.entries(config).forEach(([name, value]) => {
+    if (name === "input") {
+      settings.input = resolvePath(value);
+      return;
+    }
+
+    const option = OPTIONS.find(
+      (entry) =>
+        entry.name === name && !["config", "help", "version"].includes(name)
+    );
+    if (!option) {
+      throw new Error(`Unknown option in config file '${file}': ${name}`);
+    }
+    if ((option.file || option.path) && typeof value === "string") {
+      settings[name] = resolvePath(value);
+    } else if (option.type === "list" && typeof value === "string") {
+      settings[name] = parseList(value);
+    } else {
+      settings[name] = value;
+    }
+  });
+
+  return settings;
+}
+
+// Parse the command-line arguments
+let parsed;
+try {
+  parsed = parseArgs({
+    // Bare flags with an optional value get an empty one
+    args: argv
+      .slice(2)
+      .map((arg) =>
+        FLAG_OPTIONS.some(
+          (option) => option.optionalValue && arg === `--${option.flag}`
+        )
+          ? `${arg}=`
+          : arg
+      ),
+    options: Object.fromEntries(
+      FLAG_OPTIONS.map((option) => [
+        option.flag,
+        {
+          type: option.type === "boolean" ? "boolean" : "string",
+          multiple: option.type === "list",
+          ...(option.alias ? { short: option.alias } : {}),
+        },
+      ])
+    ),
+    allowPositionals: true,
+  });
+} catch (error) {
+  console.error(error.message);
+  console.error("Use --help for usage information");
+  process.exit(1);
+}
+
+if (parsed.values.help) {
+  console.log(getHelp());
+  process.exit(0);
+}
+if (parsed.values.version) {
+  const { version } = JSON.parse(
+    fs.readFileSync(new URL("./package.json", import.meta.url), "utf8")
   );
-  console.error("Available languages: en (English), fr (French)");
+  console.log(version);
+  process.exit(0);
+}
+if (parsed.positionals.length > 1) {
+  console.error(`Unexpected argument: ${parsed.positionals[1]}`);
+  console.error("Use --help for usage information");
   process.exit(1);
 }
 
-// Extract arguments
-const inputFile = argv[2];
-let outputFile = "api-doc.html";
-let language = "en";
-let logoPath = null;
-let divider = null;
-
-// Parse remaining arguments
-for (let i = 3; i < argv.length; i++) {
-  const arg = argv[i];
-  if (arg.startsWith("--lang=")) {
-    language = arg.split("=")[1];
-  } else if (arg.startsWith("--output=")) {
-    outputFile = arg.split("=")[1];
-  } else if (arg.startsWith("--logo=")) {
-    logoPath = arg.split("=")[1];
-  } else if (arg.startsWith("--divider=")) {
-    divider = arg.split("=")[1];
-  } else {
-    console.error(`Unknown argument: ${arg}`);
-    console.error("Use --help for usage information");
-    process.exit(1);
+// Settings by option name: command-line flags take precedence over the
+// config file
+const cliSettings = {};
+FLAG_OPTIONS.forEach((option) => {
+  const value = parsed.values[option.flag];
+  if (value !== undefined) {
+    cliSettings[option.name] = parseFlagValue(option, value);
+  }
+});
+
+let settings;
+try {
+  settings = { ...loadConfig(cliSettings.config), ...cliSettings };
+} catch (error) {
+  console.error("Error:", error.message);
+  process.exit(1);
+}
+if (parsed.positionals.length > 0) {
+  settings.input = parsed.positionals[0];
+}
+
+if (!settings.input) {
+  console.error(getHelp());
+  process.exit(1);
+}
+
+// --site is a shorthand for --format=site --output=dir
+if (settings.site !== undefined) {
+  settings.format = "site";
+  settings.outputFile = settings.site;
+}
+
+// The language of a translations file defaults to its name, as in de.json
+// or pt-BR.json
+if (
+  settings.language === undefined &&
+  typeof settings.translations === "string"
+) {
+  const name = basename(settings.translations).replace(/\.json$/i, "");
+  if (/^[a-z]{2,3}(?:-[a-z\d]{2,8})*$/i.test(name)) {
+    settings.language = name;
   }
 }
 
-// Validate language
-const supportedLanguages = ["en", "fr"];
-if (!supportedLanguages.includes(language)) {
+const inputFile = settings.input;
+const format = settings.format || "html";
+const language = settings.language || "en";
+const watch = Boolean(settings.watch);
+const servePort = settings.serve === undefined ? null : settings.serve;
+
+// Validate language: languages without built-in translations need a
+// translations file
+const requestedLanguages = [language, language.split("-")[0]].map((name) =>
+  name.toLowerCase()
+);
+if (
+  !settings.translations &&
+  !LANGUAGES.some((name) => requestedLanguages.includes(name.toLowerCase()))
+) {
   console.error(`Unsupported language: ${language}`);
-  console.error(`Available languages: ${supportedLanguages.join(", ")}`);
+  console.error(
+    `Available languages: ${LANGUAGES.join(
+      ", "
+    )}, or any other with --translations`
+  );
   process.exit(1);
 }
 
 // Validate divider if provided
 const validDividers = ["h1", "h2", "h3", "h4", "h5", "h6"];
-if (divider && !validDividers.includes(divider)) {
-  console.error(`Invalid divider: ${divider}`);
+if (settings.divider && !validDividers.includes(settings.divider)) {
+  console.error(`Invalid divider: ${settings.divider}`);
   console.error(`Valid dividers: ${validDividers.join(", ")}`);
   process.exit(1);
 }
 
-try {
-  let logo = null;
+// Validate format
+const validFormats = ["html", "site", "markdown", "openapi"];
+if (!validFormats.includes(format)) {
+  console.error(`Invalid format: ${format}`);
+  console.error(`Valid formats: ${validFormats.join(", ")}`);
+  process.exit(1);
+}
+
+// OpenAPI documents are written as YAML, unless a .json file is requested
+const outputFile = settings.outputFile || DEFAULT_OUTPUT_FILES[format];
+if ((format === "markdown" || format === "site") && outputFile === "-") {
+  console.error(
+    `The ${format} output is a directory and cannot be written to stdout`
+  );
+  process.exit(1);
+}
+if (watch || servePort !== null) {
+  if (inputFile === "-" || /^https?:\/\//i.test(inputFile)) {
+    console.error("--watch and --serve need a collection file as input");
+    process.exit(1);
+  }
+  if (outputFile === "-") {
+    console.error("--watch and --serve cannot write to stdout");
+    process.exit(1);
+  }
+}
+if (
+  servePort !== null &&
+  !(Number.isInteger(servePort) && servePort >= 0 && servePort <= 65535)
+) {
+  console.error("Invalid port for --serve");
+  process.exit(1);
+}
+if (servePort !== null && format !== "html" && format !== "site") {
+  console.error("--serve is only available for the html and site formats");
+  process.exit(1);
+}
+const renderFormat =
+  format === "openapi" && outputFile.toLowerCase().endsWith(".json")
+    ? "openapi-json"
+    : format;
+
+// Files holding option values, read on each generation
+const fileOptions = OPTIONS.filter(
+  (option) => option.file && typeof settings[option.name] === "string"
+);
+
+// Progress messages go to stderr when the HTML is written to stdout
+const log = outputFile === "-" ? console.error : console.log;
 
-  if (logoPath) {
+// Read the input files, render the documentation and write it. Errors are
+// thrown, so that watch mode can report them and keep running.
+async function generate() {
+  const values = { ...settings };
+
+  fileOptions.forEach((option) => {
+    const path = settings[option.name];
     try {
-      logo = fs.readFileSync(logoPath, "utf8");
-      console.log(`Found logo file: ${logoPath}, embedding it in the HTML...`);
+      const content = fs.readFileSync(path, "utf8");
+      values[option.name] =
+        option.file === "json" ? JSON.parse(content) : content;
+    } catch (error) {
+      throw new Error(
+        `Could not read ${option.fileLabel} file '${path}': ${error.message}`
+      );
+    }
+    log(`Using ${option.fileLabel} file: ${path}`);
+  });
+
+  // Theme config: { "theme": "auto", "variables": { "--primary-color": ... },
+  // "methodColors": { "PATCH": ... } }, for the theme options not set
+  // otherwise
+  const themeConfig = values.themeConfig || {};
+  const options = {
+    theme: themeConfig.theme,
+    themeVariables: themeConfig.variables,
+    methodColors: themeConfig.methodColors,
+  };
+  OPTIONS.filter((option) => !option.cliOnly).forEach((option) => {
+    if (values[option.name] !== undefined) {
+      options[option.name] = values[option.name];
+    }
+  });
+
+  const collection = await loadCollection(
+    inputFile === "-" ? process.stdin : inputFile
+  );
+  const content = renderCollection(collection, {
+    ...options,
+    format: renderFormat,
+    onWarning: (message) => console.warn(message),
+  });
+
+  if (outputFile === "-") {
+    process.stdout.write(content);
+  } else if (typeof content === "string") {
+    fs.writeFileSync(outputFile, content);
+  } else {
+    // Multi-file formats are written to the output directory
+    Object.entries(content).forEach(([fileName, fileContent]) => {
+      const filePath = resolve(outputFile, fileName);
+      fs.mkdirSync(dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, fileContent);
+    });
+  }
+  log(
+    `${
+      {
+        html: "HTML",
+        site: "Site",
+        markdown: "Markdown",
+        openapi: "OpenAPI document",
+      }[format]
+    } generated successfully: ${
+      outputFile === "-" ? "stdout" : outputFile
+    } (language: ${language})`
+  );
+}
+
+// Regenerate when the collection, the logo, the environment, the theme
+// config or the CSS file changes. Errors are logged, and shown in the pages
+// served with --serve, until the next successful generation.
+async function watchAndServe() {
+  let server = null;
+  if (servePort !== null) {
+    const root =
+      format === "html" ? dirname(resolve(outputFile)) : resolve(outputFile);
+    try {
+      server = await startPreviewServer({
+        root,
+        index: format === "html" ? basename(outputFile) : "index.html",
+        port: servePort,
+      });
     } catch (error) {
       console.error(
-        `Error: Could not read logo file '${logoPath}': ${error.message}`
+        "Error:",
+        error.code === "EADDRINUSE"
+          ? `port ${servePort} is already in use, choose another one with --serve=<port>`
+          : `cannot serve on port ${servePort}: ${error.message}`
       );
       process.exit(1);
     }
   }
 
-  collectionToHTML(inputFile, {
-    outputFile,
-    language,
-    logo,
-    divider,
+  let running = false;
+  let pending = false;
+  const run = async () => {
+    // Changes made during a generation trigger one more generation
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    try {
+      await generate();
+      if (server) server.reload();
+    } catch (error) {
+      console.error("Error:", error.message);
+      if (server) server.showError(error.message);
+    }
+    running = false;
+    if (pending) {
+      pending = false;
+      run();
+    }
+  };
+
+  await run();
+  if (server) {
+    log(`Serving the documentation on ${server.url}`);
+  }
+
+  const watchedFiles = [
+    inputFile,
+    ...fileOptions.map((option) => settings[option.name]),
+  ];
+  let timer = null;
+  watchedFiles.forEach((file) => {
+    // Polling also notices files replaced by editors on save
+    fs.watchFile(file, { interval: 300 }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        log(`${file} changed, regenerating...`);
+        run();
+      }, 100);
+    });
   });
-  console.log(
-    `HTML generated successfully: ${outputFile} (language: ${language})`
-  );
-} catch (error) {
-  console.error("Error:", error.message);
-  process.exit(1);
+  log(`Watching ${watchedFiles.join(", ")} for changes (Ctrl+C to stop)`);
+}
+
+if (watch || servePort !== null) {
+  await watchAndServe();
+} else {
+  try {
+    await generate();
+  } catch (error) {
+    console.error("Error:", error.message);
+    process.exit(1);
+  }
 }
@@ -1,55 +1,351 @@
 import fs from "fs";
 import { dirname, join } from "path";
+import sanitizeHtml from "sanitize-html";
 import showdown from "showdown";
+import yaml from "js-yaml";
+import { STATUS_CODES } from "http";
 import { fileURLToPath } from "url";
+import { SNIPPET_LANGUAGES, generateSnippet } from "./lib/snippets.js";
+import { formatProblems, validateCollection } from "./lib/validate.js";
+import {
+  isOpenApiDocument,
+  openApiToCollection,
+} from "./lib/openapi-import.js";
+import {
+  RAW_CONTENT_TYPES,
+  VARIABLE_PATTERN,
+  getAuthParams,
+  getDescriptionContent,
+} from "./lib/collection.js";
+import { collectionToOpenApi } from "./lib/openapi-export.js";
+import { highlightCode } from "./lib/highlight.js";
+import { inferFields } from "./lib/fields.js";
+import { DEFAULT_OUTPUT_FILES, applyDefaults } from "./lib/options.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-// Load translation files
-function loadTranslations(language = "en") {
-  const translationPath = join(__dirname, "translations", `${language}.json`);
+// Maximum nesting depth when resolving variables (guards against cycles)
+const MAX_VARIABLE_DEPTH = 10;
 
-  if (!fs.existsSync(translationPath)) {
-    console.warn(
+// Names of the folders and requests that have none, as in Postman
+const DEFAULT_FOLDER_NAME = "New Folder";
+const DEFAULT_REQUEST_NAME = "New Request";
+
+// Name of a pm.test() assertion, as a string literal
+const TEST_NAME_PATTERN = /\bpm\.test\(\s*(["'`])((?:\\.|(?!\1)[^\\])*)\1/g;
+
+// Built-in translations, one <language>.json file per language
+const TRANSLATIONS_DIRECTORY = join(__dirname, "translations");
+// Scripts written right to left, such as Arabic and Hebrew
+const RTL_SCRIPTS = ["Adlm", "Arab", "Hebr", "Nkoo", "Rohg", "Syrc", "Thaa"];
+
+// Tags and attributes kept in HTML rendered from Markdown descriptions
+const SANITIZE_OPTIONS = {
+  allowedTags: [...sanitizeHtml.defaults.allowedTags, "img", "del", "input"],
+  allowedAttributes: {
+    a: ["href", "name", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    input: ["type", "checked", "disabled"],
+    code: ["class"],
+    th: ["style"],
+    td: ["style"],
+    "*": ["id"],
+  },
+  allowedStyles: {
+    "*": { "text-align": [/^(left|right|center)$/] },
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+};
+
+// Output formats of renderCollection
+const OUTPUT_FORMATS = ["html", "site", "markdown", "openapi", "openapi-json"];
+
+// Length of the example bodies kept in the search index
+const MAX_SEARCH_BODY_LENGTH = 2000;
+
+// Order of the method filters in the sidebar, other methods follow
+const METHOD_FILTER_ORDER = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+// Supported values of the theme option; "auto" follows the system setting
+const THEMES = ["light", "dark", "auto"];
+
+// Custom properties of the dark theme, replacing the light ones of :root
+const DARK_THEME_VARIABLES = {
+  "--primary-color": "#7b9cff",
+  "--secondary-color": "#9aa4ae",
+  "--light-bg": "#1f2329",
+  "--dark-bg": "#0d1014",
+  "--border-color": "#3a4048",
+  "--text-color": "#e6e8eb",
+  "--bg-color": "#15181c",
+  "--surface-color": "#1b1f24",
+  "--response-bg": "#181c21",
+  "--primary-hover": "#5a7ff0",
+  "--secondary-hover": "#7a848e",
+  "--variable-bg": "#4d3d0a",
+  "--variable-color": "#ffe08a",
+  "--secret-bg": "#5c1f26",
+  "--secret-color": "#ffb3ba",
+  "--mark-bg": "#6b5b00",
+  "--code-comment": "#8b949e",
+  "--code-keyword": "#ff7b72",
+  "--code-string": "#a5d6ff",
+  "--code-number": "#79c0ff",
+  "--code-property": "#79c0ff",
+  "--code-function": "#d2a8ff",
+  "--code-tag": "#7ee787",
+  "--code-parameter": "#ffa657",
+};
+
+// Badge colors of the HTTP methods, as [background, text] pairs. Other
+// methods get a gray badge.
+const DEFAULT_METHOD_COLORS = {
+  GET: ["var(--info-color)", "white"],
+  POST: ["var(--success-color)", "white"],
+  PUT: ["var(--warning-color)", "#212529"],
+  PATCH: ["#6f42c1", "white"],
+  DELETE: ["var(--danger-color)", "white"],
+  HEAD: ["#20c997", "white"],
+  OPTIONS: ["#fd7e14", "white"],
+};
+
+// Storage key of the theme chosen by the reader with the toggle
+const THEME_STORAGE_KEY = "postman-to-html-theme";
+// sessionStorage key of the values of the Try it variables
+const TRY_IT_STORAGE_KEY = "postman-to-html-try-it";
+
+// Parts of the HTML output that can be replaced through the templates option
+const TEMPLATE_NAMES = [
+  "page",
+  "header",
+  "toc",
+  "footer",
+  "folder",
+  "endpoint",
+];
+
+// Functions of the hooks option, adding content around the built-in parts
+const HOOK_NAMES = ["beforeEndpoint", "afterEndpoint"];
+
+// Postman v2.1 authentication schemes, with the parameters documented for
+// each of them (true marks a credential, which is masked in the output)
+const AUTH_SCHEMES = {
+  noauth: {},
+  bearer: { token: true },
+  basic: { username: true, password: true },
+  apikey: { key: false, value: true, in: false },
+  oauth2: {
+    grant_type: false,
+    authUrl: false,
+    accessTokenUrl: false,
+    scope: false,
+    clientId: true,
+    clientSecret: true,
+    accessToken: true,
+    addTokenTo: false,
+    headerPrefix: false,
+  },
+  digest: {
+    username: true,
+    password: true,
+    realm: false,
+    algorithm: false,
+    qop: false,
+  },
+  awsv4: {
+    accessKey: true,
+    secretKey: true,
+    sessionToken: true,
+    region: false,
+    service: false,
+  },
+  hawk: { authId: true, authKey: true, algorithm: false, user: false },
+  ntlm: { username: true, password: true, domain: false, workstation: false },
+};
+
+// Markup of the folders and endpoints, for each output format
+const HTML_RENDERER = {
+  folder: (folder, content, context) =>
+    renderTemplate("folder", { ...folder, content }, context, (data) =>
+      renderHtmlFolder(data, data.content, context)
+    ),
+  endpoint: (endpoint, context) =>
+    [
+      runHook("beforeEndpoint", endpoint, context),
+      renderTemplate("endpoint", endpoint, context, renderHtmlEndpoint),
+      runHook("afterEndpoint", endpoint, context),
+    ].join(""),
+};
+const MARKDOWN_RENDERER = {
+  folder: renderMarkdownFolder,
+  endpoint: renderMarkdownEndpoint,
+};
+
+// Languages of the built-in translation files
+function getLanguages() {
+  return fs
+    .readdirSync(TRANSLATIONS_DIRECTORY)
+    .filter((file) => file.endsWith(".json"))
+    .map((file) => file.slice(0, -".json".length))
+    .sort();
+}
+
+// Load translation files. Missing keys fall back one by one to the base
+// language (pt for pt-BR), then to English; custom translations override
+// the built-in ones.
+function loadTranslations(
+  language = "en",
+  customTranslations = null,
+  warn = (message) => console.warn(message)
+) {
+  const readTranslations = (name) => {
+    const translationPath = join(TRANSLATIONS_DIRECTORY, `${name}.json`);
+    return fs.existsSync(translationPath)
+      ? JSON.parse(fs.readFileSync(translationPath, "utf8"))
+      : null;
+  };
+
+  const builtIn = [...new Set([new Intl.Locale(language).language, language])]
+    .filter((name) => name !== "en")
+    .map(readTranslations)
+    .filter(Boolean);
+  if (language !== "en" && builtIn.length === 0 && !customTranslations) {
+    warn(
       `Translation file for language '${language}' not found. Falling back to English.`
     );
-    const fallbackPath = join(__dirname, "translations", "en.json");
-    return JSON.parse(fs.readFileSync(fallbackPath, "utf8"));
   }
 
-  return JSON.parse(fs.readFileSync(translationPath, "utf8"));
+  return Object.assign(
+    readTranslations("en"),
+    ...builtIn,
+    customTranslations || {}
+  );
+}
+
+// Writing direction of a language, from its script
+function getTextDirection(language) {
+  return RTL_SCRIPTS.includes(new Intl.Locale(language).maximize().script)
+    ? "rtl"
+    : "ltr";
 }
 
-// Main function to generate documentation
-function collectionToHTML(inputFile, options = {}) {
+// Main function to generate documentation: reads the collection from a file
+// path, a URL or a stream and resolves to the path of the output written.
+// Warnings are printed unless onWarning is given.
+async function collectionToHTML(input, options = {}) {
   // Extract options with defaults
-  const {
-    outputFile = "api-doc.html",
-    language = "en",
-    logo = null,
-    divider = null,
-  } = options;
+  const { format, onWarning, ...values } = applyDefaults(options);
+  const outputFile =
+    values.outputFile === null
+      ? DEFAULT_OUTPUT_FILES[format]
+      : values.outputFile;
+
+  // Validate output file is a string
+  if (typeof outputFile !== "string") {
+    throw new Error("Output file must be a string.");
+  }
 
-  // Validate input file is a string
-  if (typeof inputFile !== "string") {
-    throw new Error("Input file must be a string.");
+  // Generate and write the HTML documentation. Multi-file formats (site,
+  // Markdown) are written to the outputFile directory.
+  const content = renderCollection(await loadCollection(input), {
+    ...options,
+    onWarning: onWarning || ((message) => console.warn(message)),
+  });
+  if (typeof content === "string") {
+    fs.writeFileSync(outputFile, content);
+  } else {
+    writeFiles(outputFile, content);
   }
 
+  return outputFile;
+}
+
+// Write a { fileName: content } object to a directory
+function writeFiles(directory, files) {
+  Object.entries(files).forEach(([fileName, content]) => {
+    const filePath = join(directory, fileName);
+    fs.mkdirSync(dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  });
+}
+
+// Render a collection object to an HTML string, without touching the
+// filesystem. Other formats: OpenAPI as a YAML or JSON string, Markdown as a
+// { fileName: content } object.
+function renderCollection(collection, options = {}) {
   // Validate options is an object
   if (typeof options !== "object" || options === null) {
     throw new Error("Options must be an object.");
   }
 
-  // Validate output file is a string
-  if (typeof outputFile !== "string") {
-    throw new Error("Output file must be a string.");
+  // Extract options with defaults
+  const {
+    format,
+    language,
+    translations: customTranslations,
+    logo,
+    divider,
+    environment,
+    snippets,
+    allowRawHtml,
+    showDisabled,
+    highlight,
+    lineNumbers,
+    theme,
+    themeVariables,
+    methodColors,
+    customCss,
+    templates,
+    hooks,
+    print,
+    tryIt,
+    showScripts,
+    fieldTables,
+    include,
+    exclude,
+    hideMethods,
+    internalMarker,
+    hiddenQueryParams,
+    hiddenHeaders,
+    strict,
+    onWarning,
+  } = applyDefaults(options);
+
+  // Validate collection is an object
+  if (typeof collection !== "object" || collection === null) {
+    throw new Error("Collection must be an object.");
+  }
+
+  // Validate format is a supported output format
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Format must be one of: ${OUTPUT_FORMATS.join(", ")}.`);
   }
 
-  // Validate language is a string
+  // Validate language is a language tag
   if (typeof language !== "string") {
     throw new Error("Language must be a string.");
   }
+  let locale;
+  try {
+    [locale] = Intl.getCanonicalLocales(language);
+  } catch (error) {
+    throw new Error(
+      `Language must be a language tag, such as en or pt-BR: ${language}`
+    );
+  }
+
+  // Validate translations is an object of strings or null
+  if (
+    customTranslations !== null &&
+    (typeof customTranslations !== "object" ||
+      Array.isArray(customTranslations) ||
+      Object.values(customTranslations).some(
+        (value) => typeof value !== "string"
+      ))
+  ) {
+    throw new Error("Translations must be an object of strings or null.");
+  }
 
   // Validate logo is a string or null
   if (logo !== null && typeof logo !== "string") {
@@ -64,24 +360,179 @@ function collectionToHTML(inputFile, options = {}) {
     throw new Error("Divider must be one of: h1, h2, h3, h4, h5, h6, or null.");
   }
 
-  // Load translations
-  const translations = loadTranslations(language);
-
-  // Validate input file exists
-  if (!fs.existsSync(inputFile)) {
-    throw new Error(`Input file '${inputFile}' does not exist.`);
+  // Validate environment is a Postman environment object or null
+  if (
+    environment !== null &&
+    (typeof environment !== "object" || !Array.isArray(environment.values))
+  ) {
+    throw new Error(
+      "Environment must be a Postman environment object (with a 'values' array) or null."
+    );
   }
 
-  // Validate input file is JSON by trying to parse it
-  let postmanCollection;
-  try {
-    postmanCollection = JSON.parse(fs.readFileSync(inputFile, "utf8"));
-  } catch (error) {
+  // Validate snippets is an array of supported code sample languages
+  if (
+    !Array.isArray(snippets) ||
+    snippets.some((language) => !SNIPPET_LANGUAGES[language])
+  ) {
     throw new Error(
-      `Input file '${inputFile}' is not valid JSON: ${error.message}`
+      `Snippets must be an array of: ${Object.keys(SNIPPET_LANGUAGES).join(
+        ", "
+      )}.`
     );
   }
 
+  // Validate allowRawHtml is a boolean
+  if (typeof allowRawHtml !== "boolean") {
+    throw new Error("allowRawHtml must be a boolean.");
+  }
+
+  // Validate showDisabled is a boolean
+  if (typeof showDisabled !== "boolean") {
+    throw new Error("showDisabled must be a boolean.");
+  }
+
+  // Validate highlight is a boolean
+  if (typeof highlight !== "boolean") {
+    throw new Error("highlight must be a boolean.");
+  }
+
+  // Validate lineNumbers is a boolean
+  if (typeof lineNumbers !== "boolean") {
+    throw new Error("lineNumbers must be a boolean.");
+  }
+
+  // Validate theme is a supported theme
+  if (!THEMES.includes(theme)) {
+    throw new Error(`Theme must be one of: ${THEMES.join(", ")}.`);
+  }
+
+  // Validate theme variables and method colors map names to CSS values
+  Object.entries({ themeVariables, methodColors }).forEach(([name, value]) => {
+    if (
+      typeof value !== "object" ||
+      value === null ||
+      Array.isArray(value) ||
+      Object.entries(value).some(
+        ([key, color]) =>
+          !/^[\w-]+$/.test(key) ||
+          typeof color !== "string" ||
+          /[;{}<>]/.test(color)
+      )
+    ) {
+      throw new Error(`${name} must be an object mapping names to CSS values.`);
+    }
+  });
+
+  // Validate customCss is a string or null
+  if (customCss !== null && typeof customCss !== "string") {
+    throw new Error("customCss must be a string or null.");
+  }
+
+  // Validate templates and hooks are objects of known functions
+  Object.entries({ templates: TEMPLATE_NAMES, hooks: HOOK_NAMES }).forEach(
+    ([name, names]) => {
+      const value = { templates, hooks }[name];
+      if (typeof value !== "object" || value === null) {
+        throw new Error(`${name} must be an object of functions.`);
+      }
+      Object.entries(value).forEach(([key, fn]) => {
+        if (!names.includes(key)) {
+          throw new Error(
+            `Unknown ${name} entry: ${key}. Expected one of: ${names.join(
+              ", "
+            )}.`
+          );
+        }
+        if (typeof fn !== "function") {
+          throw new Error(`${name}.${key} must be a function.`);
+        }
+      });
+    }
+  );
+
+  // Validate filtering options are arrays of strings
+  Object.entries({
+    include,
+    exclude,
+    hideMethods,
+    hiddenQueryParams,
+    hiddenHeaders,
+  }).forEach(([name, value]) => {
+    if (
+      !Array.isArray(value) ||
+      value.some((entry) => typeof entry !== "string")
+    ) {
+      throw new Error(`${name} must be an array of strings.`);
+    }
+  });
+
+  // Validate fieldTables is a boolean
+  if (typeof fieldTables !== "boolean") {
+    throw new Error("fieldTables must be a boolean.");
+  }
+
+  // Validate showScripts is a boolean
+  if (typeof showScripts !== "boolean") {
+    throw new Error("showScripts must be a boolean.");
+  }
+
+  // Validate print is a boolean, for the single HTML page
+  if (typeof print !== "boolean") {
+    throw new Error("print must be a boolean.");
+  }
+  if (print && format !== "html") {
+    throw new Error("print is only available for the html format.");
+  }
+
+  // Validate tryIt is a boolean, for the HTML formats
+  if (typeof tryIt !== "boolean") {
+    throw new Error("tryIt must be a boolean.");
+  }
+  if (tryIt && format !== "html" && format !== "site") {
+    throw new Error("tryIt is only available for the html and site formats.");
+  }
+
+  // Validate internalMarker is a string or null
+  if (internalMarker !== null && typeof internalMarker !== "string") {
+    throw new Error("internalMarker must be a string or null.");
+  }
+
+  // Validate strict is a boolean
+  if (typeof strict !== "boolean") {
+    throw new Error("strict must be a boolean.");
+  }
+
+  // Validate onWarning is a function or null
+  if (onWarning !== null && typeof onWarning !== "function") {
+    throw new Error("onWarning must be a function or null.");
+  }
+  const warn = onWarning || (() => {});
+
+  // OpenAPI/Swagger specs are converted to the collection format first
+  if (isOpenApiDocument(collection)) {
+    collection = openApiToCollection(collection);
+  }
+
+  // Validate the collection structure before rendering it
+  const { errors, warnings } = validateCollection(collection);
+  if (errors.length > 0) {
+    throw new Error(`Invalid Postman collection:\n${formatProblems(errors)}`);
+  }
+  if (warnings.length > 0) {
+    if (strict) {
+      throw new Error(
+        `Postman collection has warnings (strict mode):\n${formatProblems(
+          warnings
+        )}`
+      );
+    }
+    warn(`Postman collection warnings:\n${formatProblems(warnings)}`);
+  }
+
+  // Load translations
+  const translations = loadTranslations(locale, customTranslations, warn);
+
   const converter = new showdown.Converter({
     backslashEscapesHTMLTags: false,
     completeHTMLDocument: false,
@@ -116,49 +567,670 @@ function collectionToHTML(inputFile, options = {}) {
     underline: false,
   });
 
-  // Generate and write the HTML documentation
-  const htmlContent = generateHtmlDocumentation(
-    postmanCollection,
+  // Filter the items once, so the table of contents and the content match
+  const filteredCollection = {
+    ...collection,
+    item: filterItems(collection.item, {
+      include: include.map(globToRegExp),
+      exclude: exclude.map(globToRegExp),
+      hideMethods: hideMethods.map((method) => method.toUpperCase()),
+      internalMarker,
+    }),
+  };
+
+  // Shared state for the rendering functions
+  const context = {
     converter,
     translations,
-    logo,
-    divider
+    language: locale,
+    direction: getTextDirection(locale),
+    variables: buildVariables(collection, environment),
+    snippets,
+    allowRawHtml,
+    showDisabled,
+    highlight,
+    lineNumbers,
+    theme,
+    // Variable names may be given without their leading dashes
+    themeVariables: Object.fromEntries(
+      Object.entries(themeVariables).map(([name, value]) => [
+        name.startsWith("--") ? name : `--${name}`,
+        value,
+      ])
+    ),
+    methodColors: Object.fromEntries(
+      Object.entries(methodColors).map(([method, color]) => [
+        method.toUpperCase(),
+        [color, getContrastColor(color)],
+      ])
+    ),
+    customCss,
+    templates,
+    hooks,
+    print,
+    tryIt,
+    showScripts,
+    fieldTables,
+    hiddenQueryParams: hiddenQueryParams.map((key) => key.toLowerCase()),
+    hiddenHeaders: hiddenHeaders.map((key) => key.toLowerCase()),
+    warn,
+    itemIds: getItemIds(filteredCollection.item),
+    renderer: format === "markdown" ? MARKDOWN_RENDERER : HTML_RENDERER,
+  };
+
+  if (format === "openapi" || format === "openapi-json") {
+    return generateOpenApiDocument(filteredCollection, context, format);
+  }
+  if (format === "markdown") {
+    return generateMarkdownDocumentation(filteredCollection, context);
+  }
+  if (format === "site") {
+    return generateSiteDocumentation(
+      filteredCollection,
+      context,
+      logo,
+      divider
+    );
+  }
+
+  return generateHtmlDocumentation(filteredCollection, context, logo, divider);
+}
+
+// Serialize the collection as an OpenAPI 3.1 document, in YAML or JSON
+function generateOpenApiDocument(collection, context, format) {
+  const { spec, warnings } = collectionToOpenApi(collection, {
+    resolve: (text) => resolveVariables(text, context.variables),
+    hiddenQueryParams: context.hiddenQueryParams,
+    hiddenHeaders: context.hiddenHeaders,
+  });
+  if (warnings.length > 0) {
+    context.warn(
+      `OpenAPI export warnings:\n${warnings
+        .map((warning) => `  - ${warning}`)
+        .join("\n")}`
+    );
+  }
+
+  return format === "openapi-json"
+    ? `${JSON.stringify(spec, null, 2)}\n`
+    : yaml.dump(spec, { noRefs: true, lineWidth: -1 });
+}
+
+// Load a collection from a file path, an http(s) URL or a readable stream
+async function loadCollection(source) {
+  if (source instanceof URL || /^https?:\/\//i.test(source)) {
+    let response;
+    try {
+      response = await fetch(source);
+    } catch (error) {
+      const reason = error.cause ? error.cause.message : error.message;
+      throw new Error(`Could not fetch collection '${source}': ${reason}`);
+    }
+    if (!response.ok) {
+      throw new Error(
+        `Could not fetch collection '${source}': ${response.status} ${response.statusText}`
+      );
+    }
+    return parseCollection(await response.text(), `Input URL '${source}'`);
+  }
+
+  if (source && typeof source[Symbol.asyncIterator] === "function") {
+    const chunks = [];
+    for await (const chunk of source) {
+      chunks.push(Buffer.from(chunk));
+    }
+    return parseCollection(
+      Buffer.concat(chunks).toString("utf8"),
+      "Input stream"
+    );
+  }
+
+  if (typeof source === "string") {
+    return readCollectionFile(source);
+  }
+
+  throw new Error("Input must be a file path, a URL or a readable stream.");
+}
+
+function readCollectionFile(inputFile) {
+  // Validate input file exists
+  if (!fs.existsSync(inputFile)) {
+    throw new Error(`Input file '${inputFile}' does not exist.`);
+  }
+
+  return parseCollection(
+    fs.readFileSync(inputFile, "utf8"),
+    `Input file '${inputFile}'`
   );
-  fs.writeFileSync(outputFile, htmlContent);
+}
 
-  return outputFile;
+// Parse a Postman collection (JSON) or an OpenAPI/Swagger spec (JSON or
+// YAML), converting specs to collections
+function parseCollection(text, inputLabel) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (jsonError) {
+    try {
+      document = yaml.load(text);
+    } catch (yamlError) {
+      throw new Error(
+        `${inputLabel} is not valid JSON or YAML: ${jsonError.message}`
+      );
+    }
+    if (typeof document !== "object" || document === null) {
+      throw new Error(
+        `${inputLabel} is not valid JSON or YAML: ${jsonError.message}`
+      );
+    }
+  }
+
+  return isOpenApiDocument(document) ? openApiToCollection(document) : document;
 }
 
 function generateHtmlDocumentation(
   collection,
-  converter,
-  translations,
+  context,
   logo = null,
   divider = null
 ) {
   // Extract the collection info
   const { info, item: folders } = collection;
+  const { translations } = context;
+  const rootContext = inheritAuth(context, collection.auth, info.name);
+
+  return generatePage(
+    {
+      title: `${info.name} - ${translations.apiDocumentation}`,
+      name: info.name,
+      logo,
+      styles: `<style>
+${generateStyles(divider, context.print)}${generateCustomStyles(
+        context
+      ).replace(/<\/style/gi, "<\\/style")}    </style>`,
+      // The print layout has no search
+      scripts: `${
+        context.print
+          ? ""
+          : `<script>window.searchIndex = ${serializeForScript(
+              buildSearchIndex(folders, context, (id) => `#${id}`)
+            )};</script>
+    `
+      }<script>
+${generateScript(translations)}${
+        context.tryIt ? generateTryItScript() : ""
+      }    </script>`,
+      sidebar: context.print
+        ? ""
+        : `${generateSearchBox(getCollectionMethods(folders), translations)}${
+            context.tryIt
+              ? generateTryItVariables(
+                  getTryItVariables(collection, context),
+                  translations
+                )
+              : ""
+          }`,
+      toc: [
+        { name: translations.overview, href: "#overview", children: [] },
+        ...getTocEntries(folders, context),
+      ],
+      content: `${generateOverviewContent(collection, rootContext)}
+            
+            ${generateFoldersContent(folders, rootContext)}`,
+    },
+    context
+  );
+}
+
+// Page layout: header, sidebar with the table of contents, content and
+// footer. Each part can be replaced through the templates option.
+function generatePage(page, context) {
+  const { translations } = context;
 
   // Use provided logo SVG content
-  const hasLogo = logo !== null && logo.trim() !== "";
-  const logoContent = hasLogo ? logo : null;
+  const hasLogo = page.logo !== null && page.logo.trim() !== "";
 
-  // Get current date for generation timestamp
-  const today = new Date();
-  const formattedDate = `${String(today.getDate()).padStart(2, "0")}/${String(
-    today.getMonth() + 1
-  ).padStart(2, "0")}/${today.getFullYear()}`;
+  const header = renderTemplate(
+    "header",
+    {
+      name: page.name,
+      homeHref: page.homeHref || null,
+      logo: hasLogo ? page.logo : null,
+      // Get current date for generation timestamp
+      generatedAt: formatDate(new Date(), context.language),
+    },
+    context,
+    renderHtmlHeader
+  );
+  const toc = renderTemplate(
+    "toc",
+    { title: translations.tableOfContents, entries: page.toc },
+    context,
+    renderHtmlToc
+  );
+  const footer = renderTemplate(
+    "footer",
+    { name: page.name },
+    context,
+    () => ""
+  );
+
+  return renderTemplate(
+    "page",
+    {
+      ...page,
+      language: context.language,
+      direction: context.direction,
+      theme: context.theme,
+      header,
+      toc,
+      footer,
+    },
+    context,
+    renderHtmlPage
+  );
+}
 
+function renderHtmlPage(page, context) {
   // Start building the HTML content
   let htmlContent = `
 <!DOCTYPE html>
-<html lang="en">
+<html lang="${escapeAttribute(context.language)}" dir="${
+    context.direction
+  }" data-theme="${context.theme}">
 <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${info.name} - API Documentation</title>
-    <style>
-        :root {
+    <title>${escapeText(page.title)}</title>
+    ${page.styles}
+    <script>
+        // Apply the theme chosen by the reader before the page is shown
+        try {
+            const theme = localStorage.getItem(${JSON.stringify(
+              THEME_STORAGE_KEY
+            )});
+            if (theme) document.documentElement.dataset.theme = theme;
+        } catch (e) {}
+    </script>
+</head>
+<body>
+    ${page.header}
+    
+    <div class="container">
+        <div class="sidebar">${page.sidebar || ""}
+            ${page.toc}
+        </div>
+        
+        <div class="content">
+            ${page.content}
+        </div>
+    </div>
+    ${
+      page.footer
+        ? `
+    <footer class="page-footer">${page.footer}</footer>
+    `
+        : ""
+    }
+    ${page.scripts}
+</body>
+</html>
+  `;
+
+  return htmlContent;
+}
+
+function renderHtmlHeader(header, context) {
+  const { translations } = context;
+
+  return `<header>
+        <div class="header-content">
+            <div class="header-text">
+                <h1>${
+                  header.homeHref
+                    ? `<a href="${header.homeHref}">${escapeText(
+                        header.name
+                      )}</a>`
+                    : escapeText(header.name)
+                }</h1>
+                <div class="generation-date">${
+                  translations.documentationGenerated
+                } ${header.generatedAt}</div>
+            </div>
+            ${
+              header.logo
+                ? `<div class="header-logo">
+                <div class="logo">${header.logo}</div>
+            </div>`
+                : ""
+            }
+            <button type="button" class="theme-toggle" aria-label="${escapeAttribute(
+              translations.toggleTheme
+            )}" title="${escapeAttribute(
+    translations.toggleTheme
+  )}" aria-pressed="false">&#9680;</button>
+        </div>
+    </header>`;
+}
+
+function renderHtmlToc(toc, context) {
+  // The print layout numbers the entries
+  const listTag = context.print ? "ol" : "ul";
+
+  return `<div class="toc">
+                <h2>${escapeText(toc.title)}</h2>
+                <${listTag}>
+                    ${toc.entries
+                      .map((entry) => renderHtmlTocEntry(entry, listTag))
+                      .join("")}
+                </${listTag}>
+            </div>`;
+}
+
+function renderHtmlTocEntry(entry, listTag = "ul") {
+  return `<li${
+    entry.method ? ` data-method="${escapeAttribute(entry.method)}"` : ""
+  }><a href="${entry.href}">${escapeText(entry.name)}</a>${
+    entry.children.length > 0
+      ? `<${listTag}>${entry.children
+          .map((child) => renderHtmlTocEntry(child, listTag))
+          .join("")}</${listTag}>`
+      : ""
+  }</li>`;
+}
+
+function generateOverviewContent(collection, context) {
+  const { info } = collection;
+  const { translations } = context;
+
+  return `<section id="overview">
+                ${renderDescription(
+                  getDescriptionContent(info.description)
+                    ? info.description
+                    : translations.noDescriptionAvailable,
+                  context
+                )}
+                ${
+                  collection.auth
+                    ? generateAuthContent(collection.auth, context)
+                    : ""
+                }
+                ${
+                  context.showScripts
+                    ? generateScriptsContent(
+                        getScripts(collection.event),
+                        context
+                      )
+                    : ""
+                }
+            </section>`;
+}
+
+// Multi-page site: an index page and one page per folder and per endpoint,
+// sharing the stylesheet, the script and a prebuilt search index. Returns a
+// { fileName: content } object.
+function generateSiteDocumentation(
+  collection,
+  context,
+  logo = null,
+  divider = null
+) {
+  const { info, item: items } = collection;
+  const { translations } = context;
+  const rootContext = inheritAuth(context, collection.auth, info.name);
+  const getHref = (id) => `${id}.html`;
+  const pages = [
+    {
+      fileName: "index.html",
+      title: translations.overview,
+      content: generateOverviewContent(collection, rootContext),
+    },
+  ];
+
+  const addPages = (item, parentPath, parentContext) => {
+    if (!isFolder(item)) {
+      pages.push({
+        fileName: getHref(context.itemIds.get(item)),
+        title: item.name,
+        content: generateEndpointContent(parentPath, item, parentContext),
+      });
+      return;
+    }
+
+    // Folder pages list their folders and requests
+    const folderContext = inheritAuth(parentContext, item.auth, item.name);
+    const itemPath = [...parentPath, item.name];
+    const folder = {
+      id: context.itemIds.get(item),
+      name: item.name,
+      path: itemPath,
+      headerLevel: 2,
+      description: item.description,
+      auth: item.auth || null,
+      scripts: context.showScripts ? getScripts(item.event) : [],
+    };
+    const children = item.item
+      .map(
+        (subItem) =>
+          `<li><a href="${getHref(context.itemIds.get(subItem))}">${escapeText(
+            subItem.name
+          )}</a></li>`
+      )
+      .join("");
+
+    pages.push({
+      fileName: getHref(folder.id),
+      title: item.name,
+      content: HTML_RENDERER.folder(
+        folder,
+        children ? `<ul class="page-children">${children}</ul>` : "",
+        folderContext
+      ),
+    });
+    item.item.forEach((subItem) => addPages(subItem, itemPath, folderContext));
+  };
+  items.forEach((item) => addPages(item, [], rootContext));
+
+  const searchIndex = buildSearchIndex(items, context, getHref);
+  const files = {
+    "assets/style.css": `${generateStyles(
+      divider
+    )}${generateSiteStyles()}${generateCustomStyles(context)}`,
+    "assets/script.js": `${generateScript(
+      translations
+    )}${generateSiteScript()}${context.tryIt ? generateTryItScript() : ""}`,
+    "assets/search-index.js": `window.searchIndex = ${serializeForScript(
+      searchIndex
+    )};\n`,
+    "search-index.json": `${JSON.stringify(searchIndex, null, 2)}\n`,
+  };
+  const toc = [
+    { name: translations.overview, href: "index.html", children: [] },
+    ...getTocEntries(items, context, getHref),
+  ];
+  const sidebar = `${generateSearchBox(
+    getCollectionMethods(items),
+    translations
+  )}${
+    context.tryIt
+      ? generateTryItVariables(
+          getTryItVariables(collection, context),
+          translations
+        )
+      : ""
+  }`;
+
+  pages.forEach((page, index) => {
+    const previous = pages[index - 1];
+    const next = pages[index + 1];
+
+    files[page.fileName] = generatePage(
+      {
+        title: `${page.title} - ${info.name}`,
+        name: info.name,
+        homeHref: "index.html",
+        logo,
+        styles: `<link rel="stylesheet" href="assets/style.css">`,
+        scripts: `<script src="assets/search-index.js"></script>
+    <script src="assets/script.js"></script>`,
+        sidebar,
+        toc,
+        content: `${page.content}
+            <nav class="page-nav">
+                ${
+                  previous
+                    ? `<a class="page-nav-previous" href="${
+                        previous.fileName
+                      }">&larr; ${translations.previousPage}: ${escapeText(
+                        previous.title
+                      )}</a>`
+                    : "<span></span>"
+                }
+                ${
+                  next
+                    ? `<a class="page-nav-next" href="${next.fileName}">${
+                        translations.nextPage
+                      }: ${escapeText(next.title)} &rarr;</a>`
+                    : ""
+                }
+            </nav>`,
+      },
+      context
+    );
+  });
+
+  return files;
+}
+
+// Search box of the sidebar, with a filter button per HTTP method
+function generateSearchBox(methods, translations) {
+  const filters = methods
+    .map(
+      (method) =>
+        `<button type="button" class="method-filter" data-filter-method="${escapeAttribute(
+          method
+        )}" aria-pressed="false">${escapeText(method)}</button>`
+    )
+    .join("");
+
+  return `
+            <div class="search">
+                <input type="search" placeholder="${escapeAttribute(
+                  translations.searchPlaceholder
+                )}" aria-label="${escapeAttribute(translations.search)}">
+                ${
+                  filters
+                    ? `<div class="method-filters" role="group" aria-label="${escapeAttribute(
+                        translations.filterByMethod
+                      )}">${filters}</div>`
+                    : ""
+                }
+                <ul class="search-results" role="listbox"></ul>
+            </div>`;
+}
+
+// Variable panel of the Try it console, in the sidebar
+function generateTryItVariables(variables, translations) {
+  if (variables.length === 0) return "";
+
+  const fields = variables
+    .map(
+      ({ name, value, secret }, index) => `
+                <div class="try-it-row">
+                    <label for="try-it-variable-${index}">${escapeText(
+        name
+      )}</label>
+                    <input id="try-it-variable-${index}" type="${
+        secret ? "password" : "text"
+      }" value="${escapeAttribute(value)}" data-variable="${escapeAttribute(
+        name
+      )}" autocomplete="off" spellcheck="false">
+                </div>`
+    )
+    .join("");
+
+  return `
+            <details class="try-it-variables" open>
+                <summary>${translations.tryItVariables}</summary>${fields}
+            </details>`;
+}
+
+// Search entries for the folders and endpoints, in document order
+function buildSearchIndex(items, context, getHref) {
+  const entries = [];
+  const truncate = (text) => text.slice(0, MAX_SEARCH_BODY_LENGTH);
+
+  const addEntries = (item, parentPath) => {
+    if (isFolder(item)) {
+      const itemPath = [...parentPath, item.name];
+      entries.push({
+        href: getHref(context.itemIds.get(item)),
+        title: item.name,
+        path: parentPath.join(" / "),
+        description: getDescriptionContent(item.description),
+      });
+      item.item.forEach((subItem) => addEntries(subItem, itemPath));
+      return;
+    }
+
+    const request =
+      typeof item.request === "string"
+        ? { method: "GET", url: item.request }
+        : item.request || {};
+    const url = request.url || {};
+    const params = [
+      ...getEnabledEntries(url.variable),
+      ...getEnabledEntries(url.query).filter(
+        (param) =>
+          param.key &&
+          !context.hiddenQueryParams.includes(param.key.toLowerCase())
+      ),
+      ...getEnabledEntries(request.header).filter(
+        (header) =>
+          header.key &&
+          !context.hiddenHeaders.includes(header.key.toLowerCase())
+      ),
+    ];
+    const body = request.body || {};
+    const bodyFields = getEnabledEntries(body.urlencoded || body.formdata);
+    const responses = Array.isArray(item.response) ? item.response : [];
+
+    entries.push({
+      href: getHref(context.itemIds.get(item)),
+      title: item.name,
+      path: parentPath.join(" / "),
+      method: getItemMethod(item),
+      url: removeQueryParams(
+        resolveVariables(getRawUrl(request.url), context.variables),
+        context.hiddenQueryParams
+      ),
+      description: getDescriptionContent(
+        getDescriptionContent(item.description)
+          ? item.description
+          : request.description
+      ),
+      params: [...params, ...bodyFields]
+        .map((param) => param.key)
+        .filter(Boolean),
+      body: truncate(
+        [
+          body.mode === "raw" ? body.raw : "",
+          body.graphql ? body.graphql.query : "",
+          ...responses.map((response) => (response && response.body) || ""),
+        ]
+          .filter(Boolean)
+          .join("\n")
+      ),
+    });
+  };
+  items.forEach((item) => addEntries(item, []));
+
+  return entries;
+}
+
+// Stylesheet shared by the single page and the multi-page site
+function generateStyles(divider = null, print = false) {
+  return `        :root {
             --primary-color: #4a6ee0;
             --secondary-color: #6c757d;
             --light-bg: #f8f9fa;
@@ -168,6 +1240,36 @@ function generateHtmlDocumentation(
             --warning-color: #ffc107;
             --danger-color: #dc3545;
             --info-color: #17a2b8;
+            --text-color: #212529;
+            --bg-color: #ffffff;
+            --surface-color: #ffffff;
+            --response-bg: #fafafa;
+            --primary-hover: #3654b8;
+            --secondary-hover: #545b62;
+            --variable-bg: #fff3cd;
+            --variable-color: #856404;
+            --secret-bg: #f8d7da;
+            --secret-color: #721c24;
+            --mark-bg: #fff3a3;
+            --code-comment: #6a737d;
+            --code-keyword: #d73a49;
+            --code-string: #032f62;
+            --code-number: #005cc5;
+            --code-property: #005cc5;
+            --code-function: #6f42c1;
+            --code-tag: #22863a;
+            --code-parameter: #e36209;
+${formatCssVariables(getMethodColorVariables(DEFAULT_METHOD_COLORS))}
+        }
+        
+        :root[data-theme="dark"] {
+${formatCssVariables(DARK_THEME_VARIABLES)}
+        }
+        
+        @media (prefers-color-scheme: dark) {
+            :root[data-theme="auto"] {
+${formatCssVariables(DARK_THEME_VARIABLES, "                ")}
+            }
         }
         
         * {
@@ -182,6 +1284,8 @@ function generateHtmlDocumentation(
             max-width: 1200px;
             margin: 0 auto;
             padding: 20px;
+            color: var(--text-color);
+            background-color: var(--bg-color);
         }
         
         header {
@@ -258,6 +1362,9 @@ function generateHtmlDocumentation(
             padding: 15px;
             overflow-x: auto;
             margin: 1rem 0;
+            /* Code reads left to right in right-to-left pages too */
+            direction: ltr;
+            text-align: left;
         }
         
         code {
@@ -268,14 +1375,78 @@ function generateHtmlDocumentation(
             border-radius: 3px;
         }
         
-        .container {
+        pre.line-numbers {
             display: flex;
-            flex-wrap: wrap;
-            gap: 30px;
         }
         
-        .sidebar {
-            flex: 0 0 300px;
+        pre.line-numbers code {
+            flex: 1 0 auto;
+        }
+        
+        .line-numbers-rows {
+            flex: none;
+            padding: 0.2em 0.8em 0.2em 0;
+            border-right: 1px solid var(--border-color);
+            color: var(--secondary-color);
+            font-family: SFMono-Regular, Consolas, Liberation Mono, Menlo, monospace;
+            font-size: 0.9em;
+            text-align: right;
+            user-select: none;
+        }
+        
+        .hl-comment,
+        .hl-meta {
+            color: var(--code-comment);
+        }
+        
+        .hl-comment {
+            font-style: italic;
+        }
+        
+        .hl-keyword {
+            color: var(--code-keyword);
+        }
+        
+        .hl-string,
+        .hl-attr-value {
+            color: var(--code-string);
+        }
+        
+        .hl-number,
+        .hl-entity {
+            color: var(--code-number);
+        }
+        
+        .hl-property {
+            color: var(--code-property);
+        }
+        
+        .hl-function,
+        .hl-type,
+        .hl-attr-name {
+            color: var(--code-function);
+        }
+        
+        .hl-tag {
+            color: var(--code-tag);
+        }
+        
+        .hl-parameter {
+            color: var(--code-parameter);
+        }
+        
+        .hl-punctuation {
+            color: var(--secondary-color);
+        }
+        
+        .container {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 30px;
+        }
+        
+        .sidebar {
+            flex: 0 0 300px;
             position: sticky;
             top: 20px;
             max-height: calc(100vh - 40px);
@@ -302,7 +1473,7 @@ function generateHtmlDocumentation(
         
         .toc ul {
             list-style-type: none;
-            padding-left: 15px;
+            padding-inline-start: 15px;
         }
         
         .toc li {
@@ -314,7 +1485,7 @@ function generateHtmlDocumentation(
             padding: 20px;
             border: 1px solid var(--border-color);
             border-radius: 5px;
-            background-color: white;
+            background-color: var(--surface-color);
         }
         
         .endpoint-header {
@@ -326,33 +1497,29 @@ function generateHtmlDocumentation(
         .http-method {
             padding: 5px 10px;
             border-radius: 4px;
+            background-color: var(--secondary-color);
             color: white;
             font-weight: bold;
             font-size: 0.9rem;
-            margin-right: 10px;
-        }
-        
-        .http-method.get {
-            background-color: var(--info-color);
+            margin-inline-end: 10px;
         }
-        
-        .http-method.post {
-            background-color: var(--success-color);
-        }
-        
-        .http-method.put {
-            background-color: var(--warning-color);
-            color: #212529;
-        }
-        
-        .http-method.delete {
-            background-color: var(--danger-color);
+        ${Object.keys(DEFAULT_METHOD_COLORS)
+          .map((method) => {
+            const name = method.toLowerCase();
+            return `
+        .http-method.${name} {
+            background-color: var(--method-${name});
+            color: var(--method-${name}-text);
         }
-        
+        `;
+          })
+          .join("")}        
         .url-path {
             font-family: monospace;
             font-size: 1.1rem;
             word-break: break-all;
+            direction: ltr;
+            unicode-bidi: isolate;
         }
         
         .endpoint-details {
@@ -372,7 +1539,7 @@ function generateHtmlDocumentation(
         th, td {
             padding: 10px;
             border: 1px solid var(--border-color);
-            text-align: left;
+            text-align: start;
         }
         
         th {
@@ -384,13 +1551,57 @@ function generateHtmlDocumentation(
             margin-bottom: 20px;
         }
         
+        .variable {
+            font-family: monospace;
+            padding: 0 3px;
+            border-radius: 3px;
+            background-color: var(--variable-bg);
+            color: var(--variable-color);
+        }
+        
+        .variable.secret {
+            background-color: var(--secret-bg);
+            color: var(--secret-color);
+        }
+        
         .badge {
             display: inline-block;
             padding: 3px 6px;
             border-radius: 3px;
             font-size: 0.75rem;
             font-weight: 600;
-            margin-left: 5px;
+            margin-inline-start: 5px;
+        }
+        
+        .badge-auth {
+            background-color: var(--primary-color);
+            color: white;
+            font-size: 0.85rem;
+            margin-inline-start: 0;
+        }
+        
+        .auth-inherited {
+            color: var(--secondary-color);
+            font-size: 0.9rem;
+            margin-inline-start: 5px;
+        }
+        
+        .masked {
+            font-family: monospace;
+            color: var(--secondary-color);
+        }
+        
+        .badge-disabled {
+            background-color: var(--secondary-color);
+            color: white;
+        }
+        
+        .disabled-entry td {
+            color: var(--secondary-color);
+        }
+        
+        td > p:last-child {
+            margin-bottom: 0;
         }
         
         .badge-required {
@@ -403,7 +1614,7 @@ function generateHtmlDocumentation(
             padding: 15px;
             border: 1px solid var(--border-color);
             border-radius: 5px;
-            background-color: #fafafa;
+            background-color: var(--response-bg);
         }
         
         .response-example h6 {
@@ -415,7 +1626,108 @@ function generateHtmlDocumentation(
         
         .response-example pre {
             margin-top: 10px;
-            background-color: white;
+            background-color: var(--surface-color);
+        }
+        
+        .status-badge {
+            margin-inline-start: 0;
+            background-color: var(--secondary-color);
+            color: white;
+        }
+        
+        .status-badge.status-2xx {
+            background-color: var(--success-color);
+        }
+        
+        .status-badge.status-3xx {
+            background-color: var(--info-color);
+        }
+        
+        .status-badge.status-4xx {
+            background-color: var(--warning-color);
+            color: #212529;
+        }
+        
+        .status-badge.status-5xx {
+            background-color: var(--danger-color);
+        }
+        
+        .response-details,
+        .script {
+            margin-top: 10px;
+        }
+        
+        .response-details summary,
+        .script summary {
+            cursor: pointer;
+            font-weight: 600;
+            color: var(--secondary-color);
+        }
+        
+        .response-details .params-section h4 {
+            font-size: 1rem;
+        }
+        
+        .field-tree {
+            border: 1px solid var(--border-color);
+            border-radius: 5px;
+            font-size: 0.9rem;
+        }
+        
+        .field-tree ul {
+            list-style-type: none;
+            margin: 0;
+            padding: 0;
+        }
+        
+        .field-row {
+            display: grid;
+            grid-template-columns: minmax(0, 2fr) minmax(0, 1fr) minmax(0, 2fr);
+            gap: 10px;
+            padding: 6px 10px;
+            border-top: 1px solid var(--border-color);
+        }
+        
+        .field-header {
+            border-top: none;
+            background-color: var(--light-bg);
+            font-weight: 600;
+        }
+        
+        .field-path {
+            padding-inline-start: calc(var(--depth, 0) * 1.25em + 1em);
+            overflow-wrap: anywhere;
+        }
+        
+        .field-example code {
+            overflow-wrap: anywhere;
+        }
+        
+        summary.field-row {
+            list-style: none;
+            cursor: pointer;
+        }
+        
+        summary.field-row::-webkit-details-marker {
+            display: none;
+        }
+        
+        /* Collapse marker of the objects and arrays */
+        summary.field-row .field-path::before {
+            content: "\\25B8";
+            display: inline-block;
+            width: 1em;
+            margin-inline-start: -1em;
+        }
+        
+        details[open] > summary.field-row .field-path::before {
+            content: "\\25BE";
+        }
+        
+        .badge-optional {
+            border: 1px solid var(--border-color);
+            background-color: var(--light-bg);
+            color: var(--secondary-color);
         }
         
         .response-body {
@@ -434,7 +1746,7 @@ function generateHtmlDocumentation(
             left: 0;
             right: 0;
             height: 60px;
-            background: linear-gradient(transparent, white);
+            background: linear-gradient(transparent, var(--surface-color));
             pointer-events: none;
         }
         
@@ -451,7 +1763,7 @@ function generateHtmlDocumentation(
         }
         
         .expand-button:hover {
-            background-color: #3654b8;
+            background-color: var(--primary-hover);
         }
         
         .expand-button.expanded {
@@ -459,7 +1771,84 @@ function generateHtmlDocumentation(
         }
         
         .expand-button.expanded:hover {
-            background-color: #545b62;
+            background-color: var(--secondary-hover);
+        }
+        
+        .tab-list {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 5px;
+            border-bottom: 1px solid var(--border-color);
+        }
+        
+        .tab {
+            background: none;
+            border: 1px solid transparent;
+            border-bottom: none;
+            border-radius: 4px 4px 0 0;
+            padding: 6px 12px;
+            cursor: pointer;
+            font-size: 0.9rem;
+            color: var(--secondary-color);
+        }
+        
+        .tab.active {
+            border-color: var(--border-color);
+            background-color: var(--light-bg);
+            color: var(--primary-color);
+            font-weight: 600;
+            margin-bottom: -1px;
+        }
+        
+        .tab-panel {
+            display: none;
+            position: relative;
+        }
+        
+        .tab-panel.active {
+            display: block;
+        }
+        
+        .copy-button {
+            position: absolute;
+            top: 8px;
+            inset-inline-end: 8px;
+            background-color: var(--surface-color);
+            color: var(--text-color);
+            border: 1px solid var(--border-color);
+            border-radius: 4px;
+            padding: 3px 8px;
+            cursor: pointer;
+            font-size: 0.8rem;
+        }
+        
+        .copy-button:hover {
+            border-color: var(--primary-color);
+            color: var(--primary-color);
+        }
+        
+        .page-footer {
+            margin-top: 30px;
+            padding-top: 15px;
+            border-top: 1px solid var(--border-color);
+            color: var(--secondary-color);
+            font-size: 0.9rem;
+        }
+        
+        .theme-toggle {
+            flex-shrink: 0;
+            width: 36px;
+            height: 36px;
+            border: 1px solid var(--border-color);
+            border-radius: 50%;
+            background-color: var(--surface-color);
+            color: var(--text-color);
+            font-size: 1.2rem;
+            cursor: pointer;
+        }
+        
+        .theme-toggle:hover {
+            border-color: var(--primary-color);
         }
         
         @media (max-width: 768px) {
@@ -497,431 +1886,3062 @@ function generateHtmlDocumentation(
                 max-width: 100%;
             }
         }
-    </style>
-</head>
-<body>
-    <header>
-        <div class="header-content">
-            <div class="header-text">
-                <h1>${info.name}</h1>
-                <div class="generation-date">${
-                  translations.documentationGenerated
-                } ${formattedDate}</div>
-            </div>
-            ${
-              hasLogo && logoContent
-                ? `<div class="header-logo">
-                <div class="logo">${logoContent}</div>
-            </div>`
-                : ""
-            }
-        </div>
-    </header>
-    
-    <div class="container">
-        <div class="sidebar">
-            <div class="toc">
-                <h2>${translations.tableOfContents}</h2>
-                <ul>
-                    <li><a href="#overview">${translations.overview}</a></li>
-                    ${generateTableOfContents(folders)}
-                </ul>
-            </div>
-        </div>
         
-        <div class="content">
-            <section id="overview">
-                ${converter.makeHtml(
-                  info.description || translations.noDescriptionAvailable
-                )}
-            </section>
-            
-            ${generateFoldersContent(folders, converter, translations)}
-        </div>
-    </div>
-    
-    <script>
-        // Translations
-        const translations = ${JSON.stringify(translations)};
+        .search {
+            margin-bottom: 15px;
+        }
         
-        // Handle expand/collapse functionality for response examples
-        document.addEventListener('DOMContentLoaded', function() {
-            const expandButtons = document.querySelectorAll('.expand-button');
-            
-            expandButtons.forEach(button => {
-                button.addEventListener('click', function() {
-                    const responseBody = this.previousElementSibling;
-                    const isCollapsed = responseBody.classList.contains('collapsed');
-                    
-                    if (isCollapsed) {
-                        responseBody.classList.remove('collapsed');
-                        this.textContent = translations.collapse;
-                        this.classList.add('expanded');
-                    } else {
-                        responseBody.classList.add('collapsed');
-                        this.textContent = translations.showAll;
-                        this.classList.remove('expanded');
-                    }
-                });
-            });
-        });
-    </script>
-</body>
-</html>
-  `;
-
-  return htmlContent;
-}
-
-function generateTableOfContents(folders) {
-  let toc = "";
-
-  folders.forEach((folder) => {
-    toc += generateTocItem(folder, []);
-  });
-
-  return toc;
-}
-
-function generateTocItem(item, parentPath) {
-  const itemPath = [...parentPath, item.name];
-  const itemId = getFolderId(itemPath.join("-"));
-  let toc = `<li><a href="#${itemId}">${item.name}</a>`;
-
-  if (item.item && item.item.length > 0) {
-    toc += "<ul>";
-
-    item.item.forEach((subItem) => {
-      if (isFolder(subItem)) {
-        // Recursive call for nested folders
-        toc += generateTocItem(subItem, itemPath);
-      } else {
-        // Direct endpoint
-        const endpointId = getEndpointId(itemPath, subItem.name);
-        toc += `<li><a href="#${endpointId}">${subItem.name}</a></li>`;
-      }
-    });
-
-    toc += "</ul>";
-  }
-
-  toc += "</li>";
-  return toc;
+        .search input {
+            width: 100%;
+            padding: 8px 10px;
+            border: 1px solid var(--border-color);
+            border-radius: 5px;
+            background-color: var(--surface-color);
+            color: var(--text-color);
+            font-size: 1rem;
+        }
+        
+        .method-filters {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 5px;
+            margin-top: 8px;
+        }
+        
+        .method-filter {
+            padding: 2px 8px;
+            border: 1px solid var(--border-color);
+            border-radius: 12px;
+            background: var(--surface-color);
+            color: var(--text-color);
+            font-size: 0.75rem;
+            font-weight: bold;
+            cursor: pointer;
+        }
+        
+        .method-filter.active {
+            background-color: var(--primary-color);
+            border-color: var(--primary-color);
+            color: white;
+        }
+        
+        .search-results {
+            list-style-type: none;
+            margin-top: 5px;
+        }
+        
+        .search-results li {
+            padding: 5px;
+            border-bottom: 1px solid var(--border-color);
+        }
+        
+        .search-results li.selected {
+            background-color: var(--light-bg);
+        }
+        
+        .search-results .search-path,
+        .search-results .search-snippet {
+            display: block;
+            font-size: 0.8rem;
+            color: var(--secondary-color);
+            overflow-wrap: anywhere;
+        }
+        
+        .search-results .http-method {
+            font-size: 0.7rem;
+            padding: 1px 5px;
+        }
+        
+        .try-it,
+        .try-it-variables {
+            margin-top: 15px;
+            padding: 10px 15px;
+            border: 1px solid var(--border-color);
+            border-radius: 5px;
+        }
+        
+        .try-it-variables {
+            margin: 0 0 15px;
+        }
+        
+        .try-it > summary,
+        .try-it-variables > summary {
+            cursor: pointer;
+            font-weight: 600;
+            color: var(--primary-color);
+        }
+        
+        .try-it-form {
+            display: flex;
+            flex-direction: column;
+            gap: 10px;
+            margin-top: 10px;
+        }
+        
+        .try-it-line,
+        .try-it-row {
+            display: flex;
+            gap: 5px;
+        }
+        
+        .try-it input,
+        .try-it textarea,
+        .try-it-variables input {
+            min-width: 0;
+            padding: 5px 8px;
+            border: 1px solid var(--border-color);
+            border-radius: 4px;
+            background-color: var(--surface-color);
+            color: var(--text-color);
+            font-family: SFMono-Regular, Consolas, Liberation Mono, Menlo, monospace;
+            font-size: 0.9rem;
+        }
+        
+        .try-it-method {
+            flex: 0 0 90px;
+        }
+        
+        .try-it-url,
+        .try-it-row input {
+            flex: 1;
+        }
+        
+        .try-it textarea {
+            min-height: 120px;
+            resize: vertical;
+        }
+        
+        .try-it fieldset,
+        .try-it-body {
+            display: flex;
+            flex-direction: column;
+            gap: 5px;
+            margin: 0;
+            padding: 0;
+            border: none;
+        }
+        
+        .try-it legend,
+        .try-it-body {
+            color: var(--secondary-color);
+            font-size: 0.9rem;
+            font-weight: 600;
+        }
+        
+        .try-it-send {
+            padding: 5px 16px;
+            border: none;
+            border-radius: 4px;
+            background-color: var(--primary-color);
+            color: white;
+            cursor: pointer;
+        }
+        
+        .try-it-send:hover {
+            background-color: var(--primary-hover);
+        }
+        
+        .try-it-add,
+        .try-it-remove {
+            border: 1px solid var(--border-color);
+            border-radius: 4px;
+            background: none;
+            color: var(--text-color);
+            cursor: pointer;
+        }
+        
+        .try-it-add {
+            align-self: flex-start;
+            padding: 2px 10px;
+        }
+        
+        .try-it-remove {
+            flex: none;
+            width: 30px;
+        }
+        
+        .try-it-variables .try-it-row {
+            flex-direction: column;
+            gap: 2px;
+            margin-top: 8px;
+        }
+        
+        .try-it-variables label {
+            font-family: monospace;
+            font-size: 0.85rem;
+            overflow-wrap: anywhere;
+        }
+        
+        .try-it-response {
+            margin-top: 15px;
+        }
+        
+        .try-it-status {
+            font-weight: 600;
+        }
+        
+        .try-it-status.status-2xx {
+            color: var(--success-color);
+        }
+        
+        .try-it-status.status-4xx,
+        .try-it-status.status-5xx,
+        .try-it-status.try-it-error {
+            color: var(--danger-color);
+        }
+        
+        .search-results mark {
+            background-color: var(--mark-bg);
+            color: inherit;
+        }
+        
+        .filtered-out {
+            display: none;
+        }
+        
+        /* Printing: the whole content, without the interactive parts */
+        @media ${print ? "all" : "print"} {
+            .container {
+                display: block;
+            }
+            
+            .sidebar {
+                position: static;
+                max-height: none;
+                overflow: visible;
+            }
+            
+            .search,
+            .try-it,
+            .try-it-variables,
+            .theme-toggle,
+            .copy-button,
+            .expand-button,
+            .tab-list {
+                display: none;
+            }
+            
+            .tab-panel {
+                display: block;
+            }
+            
+            .tab-panel::before {
+                content: attr(data-label);
+                display: block;
+                margin-top: 10px;
+                font-weight: 600;
+            }
+            
+            .response-body.collapsed pre {
+                max-height: none;
+                overflow: visible;
+            }
+            
+            .response-body.collapsed::after {
+                display: none;
+            }
+            
+            /* Long lines wrap instead of overflowing the page */
+            pre {
+                overflow: visible;
+            }
+            
+            pre,
+            code {
+                white-space: pre-wrap;
+                overflow-wrap: anywhere;
+            }
+            
+            a {
+                overflow-wrap: anywhere;
+            }
+            
+            .line-numbers-rows {
+                display: none;
+            }
+            
+            h1, h2, h3, h4, h5, h6 {
+                break-after: avoid;
+            }
+            
+            .endpoint-header,
+            tr {
+                break-inside: avoid;
+            }
+        }
+${print ? generatePrintStyles() : ""}`;
+}
+
+// Print layout of the print option: the table of contents becomes a
+// numbered contents page and each top-level folder starts a new page
+function generatePrintStyles() {
+  return `
+        @page {
+            margin: 2cm 1.5cm;
+            
+            @bottom-center {
+                content: counter(page);
+            }
+        }
+        
+        .sidebar {
+            break-after: page;
+        }
+        
+        .toc {
+            border: none;
+            padding: 0;
+            background: none;
+        }
+        
+        .toc ol {
+            list-style-type: none;
+            padding-inline-start: 0;
+            counter-reset: toc-entry;
+        }
+        
+        .toc ol ol {
+            padding-inline-start: 2em;
+        }
+        
+        .toc li {
+            counter-increment: toc-entry;
+        }
+        
+        .toc a {
+            display: flex;
+            gap: 0.5em;
+            color: inherit;
+        }
+        
+        .toc a::before {
+            content: counters(toc-entry, ".") ".";
+        }
+        
+        /* Page numbers, filled in by paged media tools such as WeasyPrint,
+           Prince or Paged.js; browsers without paged media support ignore
+           this rule and only show the section numbers */
+        .toc a::after {
+            content: leader(".") target-counter(attr(href), page);
+            margin-inline-start: auto;
+        }
+        
+        .content > section:not(#overview) {
+            break-before: page;
+        }
+`;
+}
+
+// Theme variables, method colors and custom CSS of the options, appended
+// after the built-in styles so that they take precedence
+function generateCustomStyles(context) {
+  const variables = {
+    ...context.themeVariables,
+    ...getMethodColorVariables(context.methodColors),
+  };
+  let css = "";
+
+  if (Object.keys(variables).length > 0) {
+    css += `
+        :root,
+        :root[data-theme] {
+${formatCssVariables(variables)}
+        }
+`;
+  }
+  // Methods without a built-in color also need a badge rule
+  Object.keys(context.methodColors)
+    .filter((method) => !DEFAULT_METHOD_COLORS[method])
+    .forEach((method) => {
+      const name = method.toLowerCase();
+      css += `
+        .http-method.${name} {
+            background-color: var(--method-${name});
+            color: var(--method-${name}-text);
+        }
+`;
+    });
+  if (context.customCss) {
+    css += `
+${context.customCss}
+`;
+  }
+
+  return css;
+}
+
+// Custom properties of the method badges, from [background, text] pairs
+function getMethodColorVariables(methodColors) {
+  const variables = {};
+  Object.entries(methodColors).forEach(([method, [background, text]]) => {
+    const name = method.toLowerCase();
+    variables[`--method-${name}`] = background;
+    variables[`--method-${name}-text`] = text;
+  });
+  return variables;
+}
+
+function formatCssVariables(variables, indent = "            ") {
+  return Object.entries(variables)
+    .map(([name, value]) => `${indent}${name}: ${value};`)
+    .join("\n");
+}
+
+// Dark or white text, whichever is more readable on a #rgb or #rrggbb
+// background; other colors get white text
+function getContrastColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color.trim());
+  if (!match) return "white";
+
+  const hex = match[1].length === 3 ? match[1].replace(/./g, "$&$&") : match[1];
+  const [red, green, blue] = [0, 2, 4].map((index) =>
+    parseInt(hex.slice(index, index + 2), 16)
+  );
+  // Perceived brightness (ITU-R BT.601)
+  return (red * 299 + green * 587 + blue * 114) / 1000 > 150
+    ? "#212529"
+    : "white";
+}
+
+// Client-side behavior shared by the single page and the multi-page site
+function generateScript(translations) {
+  return `        // Translations
+        const translations = ${serializeForScript(translations)};
+        
+        // Theme toggle: switches between the light and dark themes and
+        // remembers the choice of the reader
+        document.addEventListener('DOMContentLoaded', function() {
+            const toggle = document.querySelector('.theme-toggle');
+            if (!toggle) return;
+            
+            const root = document.documentElement;
+            const isDark = () => root.dataset.theme === 'dark' ||
+                (root.dataset.theme === 'auto' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+            toggle.setAttribute('aria-pressed', String(isDark()));
+            
+            toggle.addEventListener('click', function() {
+                root.dataset.theme = isDark() ? 'light' : 'dark';
+                toggle.setAttribute('aria-pressed', String(isDark()));
+                try {
+                    localStorage.setItem(${JSON.stringify(
+                      THEME_STORAGE_KEY
+                    )}, root.dataset.theme);
+                } catch (e) {}
+            });
+        });
+        
+        // Handle expand/collapse functionality for response examples
+        document.addEventListener('DOMContentLoaded', function() {
+            const expandButtons = document.querySelectorAll('.expand-button');
+            
+            expandButtons.forEach(button => {
+                button.addEventListener('click', function() {
+                    const responseBody = this.previousElementSibling;
+                    const isCollapsed = responseBody.classList.contains('collapsed');
+                    
+                    if (isCollapsed) {
+                        responseBody.classList.remove('collapsed');
+                        this.textContent = translations.collapse;
+                        this.classList.add('expanded');
+                    } else {
+                        responseBody.classList.add('collapsed');
+                        this.textContent = translations.showAll;
+                        this.classList.remove('expanded');
+                    }
+                });
+            });
+            
+            // Tabs: each button shows the panel at the same position
+            document.querySelectorAll('.tabs').forEach(tabs => {
+                const buttons = tabs.querySelectorAll(':scope > .tab-list > .tab');
+                const panels = tabs.querySelectorAll(':scope > .tab-panel');
+                
+                buttons.forEach((button, index) => {
+                    button.addEventListener('click', function() {
+                        buttons.forEach(b => b.classList.toggle('active', b === button));
+                        panels.forEach((panel, i) => panel.classList.toggle('active', i === index));
+                    });
+                });
+            });
+            
+            // Copy code samples to the clipboard
+            document.querySelectorAll('.copy-button').forEach(button => {
+                button.addEventListener('click', function() {
+                    const code = this.parentElement.querySelector('code').textContent;
+                    const done = () => {
+                        this.textContent = translations.copied;
+                        setTimeout(() => { this.textContent = translations.copy; }, 2000);
+                    };
+                    
+                    if (navigator.clipboard && window.isSecureContext) {
+                        navigator.clipboard.writeText(code).then(done);
+                    } else {
+                        // Fallback for pages opened from the filesystem
+                        const textarea = document.createElement('textarea');
+                        textarea.value = code;
+                        document.body.appendChild(textarea);
+                        textarea.select();
+                        document.execCommand('copy');
+                        textarea.remove();
+                        done();
+                    }
+                });
+            });
+        });
+        
+        // Printing opens the collapsed details, such as the response headers
+        window.addEventListener('beforeprint', function() {
+            document.querySelectorAll('details:not([open])').forEach(details => {
+                details.open = true;
+            });
+        });
+        
+        // Search and method filters over the prebuilt window.searchIndex,
+        // inlined in the page or loaded from assets/search-index.js
+        document.addEventListener('DOMContentLoaded', function() {
+            const input = document.querySelector('.search input');
+            const results = document.querySelector('.search-results');
+            if (!input || !results || !window.searchIndex) return;
+            
+            const activeMethods = new Set();
+            let selectedIndex = -1;
+            
+            // Matches in the name weigh more than in the URL, the parameter
+            // names, the description and the example bodies
+            const fields = [['title', 10], ['url', 5], ['params', 4], ['description', 2], ['body', 1]];
+            const getText = (entry, field) =>
+                Array.isArray(entry[field]) ? entry[field].join(' ') : entry[field] || '';
+            
+            const scoreEntry = (entry, terms) => {
+                let total = 0;
+                let snippetField = null;
+                
+                for (const term of terms) {
+                    let termScore = 0;
+                    fields.forEach(([field, weight]) => {
+                        const text = getText(entry, field).toLowerCase();
+                        const position = text.indexOf(term);
+                        if (position === -1) return;
+                        // Matches at the start of a word count double
+                        const atWordStart = position === 0 || /\\W/.test(text[position - 1]);
+                        termScore += atWordStart ? weight * 2 : weight;
+                        if (field !== 'title' && !snippetField) snippetField = field;
+                    });
+                    // Every term must match somewhere
+                    if (termScore === 0) return null;
+                    total += termScore;
+                }
+                
+                return { entry, total, snippetField };
+            };
+            
+            // Append the text to the element with the terms wrapped in <mark>
+            const appendHighlighted = (element, text, terms) => {
+                const lower = text.toLowerCase();
+                let position = 0;
+                
+                while (position < text.length) {
+                    let next = -1;
+                    let length = 0;
+                    terms.forEach(term => {
+                        const index = lower.indexOf(term, position);
+                        if (index !== -1 && (next === -1 || index < next)) {
+                            next = index;
+                            length = term.length;
+                        }
+                    });
+                    
+                    if (next === -1) {
+                        element.appendChild(document.createTextNode(text.slice(position)));
+                        return;
+                    }
+                    element.appendChild(document.createTextNode(text.slice(position, next)));
+                    const mark = document.createElement('mark');
+                    mark.textContent = text.slice(next, next + length);
+                    element.appendChild(mark);
+                    position = next + length;
+                }
+            };
+            
+            // A short extract of the field around the first match
+            const getSnippet = (entry, field, terms) => {
+                const text = getText(entry, field).replace(/\\s+/g, ' ');
+                const lower = text.toLowerCase();
+                const positions = terms.map(term => lower.indexOf(term)).filter(index => index !== -1);
+                const start = Math.max(0, Math.min(...positions) - 30);
+                const end = start + 90;
+                return (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '');
+            };
+            
+            const select = (index) => {
+                const items = results.querySelectorAll('li[data-href]');
+                if (items.length === 0) return;
+                selectedIndex = (index + items.length) % items.length;
+                items.forEach((item, i) => {
+                    item.classList.toggle('selected', i === selectedIndex);
+                    item.setAttribute('aria-selected', String(i === selectedIndex));
+                });
+                items[selectedIndex].scrollIntoView({ block: 'nearest' });
+            };
+            
+            const search = () => {
+                const terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+                results.innerHTML = '';
+                selectedIndex = -1;
+                if (terms.length === 0) return;
+                
+                // Ties keep the document order (the sort is stable)
+                const matches = window.searchIndex
+                    .filter(entry => activeMethods.size === 0 || activeMethods.has(entry.method))
+                    .map(entry => scoreEntry(entry, terms))
+                    .filter(Boolean)
+                    .sort((a, b) => b.total - a.total)
+                    .slice(0, 20);
+                
+                if (matches.length === 0) {
+                    const item = document.createElement('li');
+                    item.textContent = translations.noResults;
+                    results.appendChild(item);
+                    return;
+                }
+                
+                matches.forEach(({ entry, snippetField }) => {
+                    const item = document.createElement('li');
+                    item.setAttribute('role', 'option');
+                    item.dataset.href = entry.href;
+                    
+                    const link = document.createElement('a');
+                    link.href = entry.href;
+                    if (entry.method) {
+                        const method = document.createElement('span');
+                        method.className = 'http-method ' + entry.method.toLowerCase();
+                        method.textContent = entry.method;
+                        link.appendChild(method);
+                        link.appendChild(document.createTextNode(' '));
+                    }
+                    appendHighlighted(link, entry.title, terms);
+                    item.appendChild(link);
+                    
+                    if (entry.path) {
+                        const path = document.createElement('span');
+                        path.className = 'search-path';
+                        path.textContent = entry.path;
+                        item.appendChild(path);
+                    }
+                    if (snippetField) {
+                        const snippet = document.createElement('span');
+                        snippet.className = 'search-snippet';
+                        appendHighlighted(snippet, getSnippet(entry, snippetField, terms), terms);
+                        item.appendChild(snippet);
+                    }
+                    results.appendChild(item);
+                });
+            };
+            
+            input.addEventListener('input', search);
+            
+            // Arrows move the selection, Enter opens it, Escape clears
+            input.addEventListener('keydown', function(event) {
+                if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                    event.preventDefault();
+                    select(selectedIndex + (event.key === 'ArrowDown' ? 1 : -1));
+                } else if (event.key === 'Enter') {
+                    const item = results.querySelectorAll('li[data-href]')[Math.max(selectedIndex, 0)];
+                    if (item) location.href = item.dataset.href;
+                } else if (event.key === 'Escape') {
+                    input.value = '';
+                    search();
+                }
+            });
+            
+            // "/" focuses the search box from anywhere on the page
+            document.addEventListener('keydown', function(event) {
+                const target = event.target;
+                if (event.key !== '/' || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName) || target.isContentEditable) return;
+                event.preventDefault();
+                input.focus();
+            });
+            
+            // Method filters hide the other endpoints from the table of
+            // contents, the content and the search results
+            document.querySelectorAll('.method-filter').forEach(button => {
+                button.addEventListener('click', function() {
+                    const method = this.dataset.filterMethod;
+                    if (activeMethods.has(method)) {
+                        activeMethods.delete(method);
+                    } else {
+                        activeMethods.add(method);
+                    }
+                    this.classList.toggle('active', activeMethods.has(method));
+                    this.setAttribute('aria-pressed', String(activeMethods.has(method)));
+                    
+                    document.querySelectorAll('.toc [data-method], .content [data-method]').forEach(element => {
+                        element.classList.toggle('filtered-out', activeMethods.size > 0 && !activeMethods.has(element.dataset.method));
+                    });
+                    search();
+                });
+            });
+        });
+`;
+}
+
+// Additional styles of the multi-page site
+function generateSiteStyles() {
+  return `
+        header h1 a {
+            color: inherit;
+            text-decoration: none;
+        }
+        
+        .toc a.active {
+            font-weight: bold;
+        }
+        
+        .page-children {
+            margin: 15px 0 0 20px;
+        }
+        
+        .page-nav {
+            display: flex;
+            justify-content: space-between;
+            gap: 20px;
+            margin-top: 30px;
+            padding-top: 15px;
+            border-top: 1px solid var(--border-color);
+        }
+`;
+}
+
+// Current page highlight for the multi-page site
+function generateSiteScript() {
+  return `
+        document.addEventListener('DOMContentLoaded', function() {
+            const currentPage = location.pathname.split('/').pop() || 'index.html';
+            document.querySelectorAll('.toc a').forEach(link => {
+                if (link.getAttribute('href') === currentPage) {
+                    link.classList.add('active');
+                    link.scrollIntoView({ block: 'nearest' });
+                }
+            });
+        });
+`;
+}
+
+// Try it console: sends the requests of the endpoints with fetch, after
+// replacing their {{variables}} with the values of the variable panel
+function generateTryItScript() {
+  return `
+        document.addEventListener('DOMContentLoaded', function() {
+            const variableInputs = Array.from(document.querySelectorAll('.try-it-variables input'));
+            
+            // Edited values are kept for the other pages, until the tab is closed
+            let savedValues = {};
+            try {
+                savedValues = JSON.parse(sessionStorage.getItem(${JSON.stringify(
+                  TRY_IT_STORAGE_KEY
+                )})) || {};
+            } catch (e) {}
+            variableInputs.forEach(input => {
+                const name = input.dataset.variable;
+                if (Object.prototype.hasOwnProperty.call(savedValues, name)) {
+                    input.value = savedValues[name];
+                }
+                input.addEventListener('input', function() {
+                    savedValues[name] = input.value;
+                    try {
+                        sessionStorage.setItem(${JSON.stringify(
+                          TRY_IT_STORAGE_KEY
+                        )}, JSON.stringify(savedValues));
+                    } catch (e) {}
+                });
+            });
+            
+            const resolve = text => {
+                let resolved = text;
+                for (let depth = 0; depth < ${MAX_VARIABLE_DEPTH}; depth++) {
+                    const next = resolved.replace(/\\{\\{([^{}]+)\\}\\}/g, (match, name) => {
+                        const input = variableInputs.find(i => i.dataset.variable === name.trim());
+                        return input ? input.value : match;
+                    });
+                    if (next === resolved) break;
+                    resolved = next;
+                }
+                return resolved;
+            };
+            
+            const createRow = () => {
+                const row = document.createElement('div');
+                row.className = 'try-it-row';
+                [translations.key, translations.value].forEach(label => {
+                    const input = document.createElement('input');
+                    input.setAttribute('aria-label', label);
+                    row.appendChild(input);
+                });
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.className = 'try-it-remove';
+                remove.setAttribute('aria-label', translations.tryItRemove);
+                remove.textContent = '\\u00d7';
+                row.appendChild(remove);
+                return row;
+            };
+            
+            document.querySelectorAll('.try-it').forEach(panel => {
+                const form = panel.querySelector('.try-it-form');
+                const output = panel.querySelector('.try-it-response');
+                const status = output.querySelector('.try-it-status');
+                const headerRows = output.querySelector('tbody');
+                const body = output.querySelector('code');
+                
+                form.addEventListener('click', function(event) {
+                    const add = event.target.closest('.try-it-add');
+                    const remove = event.target.closest('.try-it-remove');
+                    if (add) add.before(createRow());
+                    if (remove) remove.closest('.try-it-row').remove();
+                });
+                
+                const getEntries = name => Array.from(form.querySelectorAll('[data-entries="' + name + '"] .try-it-row'))
+                    .map(row => Array.from(row.querySelectorAll('input'), input => resolve(input.value)))
+                    .filter(([key]) => key.trim() !== '')
+                    .map(([key, value]) => [key.trim(), value]);
+                
+                form.addEventListener('submit', async function(event) {
+                    event.preventDefault();
+                    const method = form.elements.method.value.trim().toUpperCase() || 'GET';
+                    let url = resolve(form.elements.url.value.trim());
+                    
+                    // Path variables with a value replace their :name segment
+                    const pathValues = new Map(getEntries('path').filter(([, value]) => value));
+                    const pathEnd = url.includes('?') ? url.indexOf('?') : url.length;
+                    url = url.slice(0, pathEnd).replace(/\\/:([\\w-]+)/g, (match, name) =>
+                        pathValues.has(name) ? '/' + pathValues.get(name) : match
+                    ) + url.slice(pathEnd);
+                    
+                    const query = new URLSearchParams(getEntries('params')).toString();
+                    if (query) url += (url.includes('?') ? '&' : '?') + query;
+                    const headers = getEntries('headers');
+                    
+                    // Basic credentials, unless an Authorization header is given
+                    const hasAuthorization = headers.some(([key]) => key.toLowerCase() === 'authorization');
+                    if (form.elements.username && !hasAuthorization) {
+                        const credentials = resolve(form.elements.username.value) + ':' + resolve(form.elements.password.value);
+                        if (credentials !== ':') {
+                            const bytes = new TextEncoder().encode(credentials);
+                            headers.push(['Authorization', 'Basic ' + btoa(String.fromCharCode(...bytes))]);
+                        }
+                    }
+                    const options = { method, headers };
+                    const requestBody = resolve(form.elements.body.value);
+                    if (requestBody && method !== 'GET' && method !== 'HEAD') {
+                        options.body = requestBody;
+                    }
+                    
+                    output.hidden = false;
+                    status.className = 'try-it-status';
+                    status.textContent = translations.tryItSending;
+                    headerRows.textContent = '';
+                    body.textContent = '';
+                    
+                    const start = performance.now();
+                    try {
+                        const response = await fetch(url, options);
+                        const text = await response.text();
+                        const time = Math.round(performance.now() - start);
+                        
+                        status.classList.add('status-' + Math.floor(response.status / 100) + 'xx');
+                        status.textContent = [response.status, response.statusText].join(' ').trim() + ' \\u00b7 ' + time + ' ms';
+                        response.headers.forEach((value, key) => {
+                            const row = headerRows.insertRow();
+                            row.insertCell().textContent = key;
+                            row.insertCell().textContent = value;
+                        });
+                        try {
+                            body.textContent = JSON.stringify(JSON.parse(text), null, 2);
+                        } catch (e) {
+                            body.textContent = text;
+                        }
+                    } catch (error) {
+                        status.classList.add('try-it-error');
+                        status.textContent = translations.tryItFailed + ' ' + error.message;
+                    }
+                });
+            });
+        });
+`;
+}
+
+// Entries of the table of contents: { name, href, method, children } with
+// the method of the endpoints and the entries of the folders. Links point to
+// anchors of the single page, or to the pages of the multi-page site when
+// getHref is given.
+function getTocEntries(items, context, getHref = (id) => `#${id}`) {
+  return items.map((item) => {
+    if (!isFolder(item)) {
+      return {
+        name: item.name,
+        href: getHref(context.itemIds.get(item)),
+        method: getItemMethod(item),
+        children: [],
+      };
+    }
+
+    return {
+      name: item.name,
+      href: getHref(context.itemIds.get(item)),
+      method: null,
+      children: getTocEntries(item.item, context, getHref),
+    };
+  });
+}
+
+function generateFoldersContent(folders, context) {
+  let content = "";
+
+  folders.forEach((item) => {
+    content += isFolder(item)
+      ? generateFolderContent(item, [], 2, context)
+      : generateEndpointContent([], item, context);
+  });
+
+  return content;
+}
+
+// Walk a folder and its items, the markup being produced by the renderer of
+// the output format (context.renderer)
+function generateFolderContent(item, parentPath, headerLevel, parentContext) {
+  const context = inheritAuth(parentContext, item.auth, item.name);
+  const itemPath = [...parentPath, item.name];
+  let content = "";
+
+  if (item.item && item.item.length > 0) {
+    item.item.forEach((subItem) => {
+      if (isFolder(subItem)) {
+        // Recursive call for nested folders with increased header level
+        content += generateFolderContent(
+          subItem,
+          itemPath,
+          Math.min(headerLevel + 1, 6),
+          context
+        );
+      } else {
+        // Direct endpoint
+        content += generateEndpointContent(itemPath, subItem, context);
+      }
+    });
+  }
+
+  const folder = {
+    id: context.itemIds.get(item),
+    name: item.name,
+    path: itemPath,
+    headerLevel,
+    description: item.description,
+    auth: item.auth || null,
+    scripts: context.showScripts ? getScripts(item.event) : [],
+  };
+
+  return context.renderer.folder(folder, content, context);
+}
+
+function generateEndpointContent(parentPath, endpoint, context) {
+  // A request can be reduced to its URL
+  const request =
+    typeof endpoint.request === "string"
+      ? { method: "GET", url: endpoint.request }
+      : endpoint.request;
+
+  const data = {
+    id: context.itemIds.get(endpoint),
+    name: endpoint.name,
+    path: parentPath,
+    request: request || null,
+  };
+
+  if (!request) {
+    return context.renderer.endpoint(data, context);
+  }
+
+  // The request's own authentication scheme, or the one it inherits
+  let auth = null;
+  let authSource = null;
+  if (request.auth && request.auth.type !== "inherit") {
+    auth = request.auth;
+  } else if (context.auth) {
+    auth = context.auth.scheme;
+    authSource = context.auth.source;
+  }
+
+  Object.assign(data, {
+    method: request.method || "GET",
+    url: removeQueryParams(getRawUrl(request.url), context.hiddenQueryParams),
+    // Descriptions may be set on the item or on its request
+    description: getDescriptionContent(endpoint.description)
+      ? endpoint.description
+      : request.description,
+    auth,
+    authSource,
+    pathVariables: getDocumentedEntries(
+      request.url && request.url.variable,
+      context
+    ).filter((param) => param.key),
+    queryParams: getDocumentedEntries(
+      request.url && request.url.query,
+      context
+    ).filter(
+      (param) =>
+        param.key &&
+        !context.hiddenQueryParams.includes(param.key.toLowerCase())
+    ),
+    headers: getDocumentedEntries(request.header, context).filter(
+      (header) =>
+        header.key && !context.hiddenHeaders.includes(header.key.toLowerCase())
+    ),
+    responses: Array.isArray(endpoint.response) ? endpoint.response : [],
+    requestFields: context.fieldTables ? getRequestFields(request.body) : [],
+    responseFields: context.fieldTables
+      ? getResponseFields(endpoint.response)
+      : [],
+    scripts: context.showScripts ? getScripts(endpoint.event) : [],
+    sample:
+      context.snippets.length > 0
+        ? buildSampleRequest(request, auth, context)
+        : null,
+    tryIt: context.tryIt ? buildTryItRequest(request, auth, context) : null,
+  });
+
+  return context.renderer.endpoint(data, context);
+}
+
+// Render a part of the page with the function given for it in the templates
+// option, or with the built-in one. Custom templates receive the data of the
+// part and helpers, including renderDefault to get the built-in HTML.
+function renderTemplate(name, data, context, renderDefault) {
+  const template = context.templates[name];
+  if (!template) return renderDefault(data, context);
+
+  const html = template(data, {
+    translations: context.translations,
+    escapeHtml: escapeText,
+    renderDefault: (value = data) => renderDefault(value, context),
+  });
+  return html === undefined || html === null ? "" : String(html);
+}
+
+// Call a function of the hooks option; it may return HTML to insert
+function runHook(name, data, context) {
+  const hook = context.hooks[name];
+  if (!hook) return "";
+
+  const html = hook(data, {
+    translations: context.translations,
+    escapeHtml: escapeText,
+  });
+  return html === undefined || html === null ? "" : String(html);
+}
+
+function renderHtmlFolder(folder, content, context) {
+  const headerTag = `h${folder.headerLevel}`;
+
+  let html = `<section id="${folder.id}">
+    <${headerTag}>${escapeText(folder.name)}</${headerTag}>`;
+
+  if (getDescriptionContent(folder.description)) {
+    html += `<div class="folder-description">${renderDescription(
+      folder.description,
+      context
+    )}</div>`;
+  }
+
+  if (folder.auth) {
+    html += generateAuthContent(folder.auth, context);
+  }
+
+  html += generateScriptsContent(folder.scripts, context);
+
+  return `${html}${content}</section>`;
+}
+
+function renderHtmlEndpoint(endpoint, context) {
+  const { translations } = context;
+  const { request, description } = endpoint;
+
+  if (!request) {
+    return `<div class="endpoint" id="${endpoint.id}">
+      <h4>${escapeText(endpoint.name)}</h4>
+      <p>${translations.noRequestInfoAvailable}</p>
+    </div>`;
+  }
+
+  const method = endpoint.method;
+  const methodClass = method.toLowerCase();
+
+  // Format URL
+  const url = renderVariables(endpoint.url, context);
+
+  // Format URL path
+  let urlPath = "";
+  if (request.url && Array.isArray(request.url.path)) {
+    urlPath =
+      "/" +
+      request.url.path
+        .map((segment) => renderVariables(segment, context))
+        .join("/");
+  }
+
+  let endpointContent = `<div class="endpoint" id="${
+    endpoint.id
+  }" data-method="${escapeAttribute(method.toUpperCase())}">
+    <div class="endpoint-header">
+      <span class="http-method ${escapeAttribute(methodClass)}">${escapeText(
+    method
+  )}</span>
+      <span class="url-path">${urlPath || url}</span>
+    </div>
+    
+    <h3>${escapeText(endpoint.name)}</h3>
+    
+    ${
+      getDescriptionContent(description)
+        ? `<div class="endpoint-description">${renderDescription(
+            description,
+            context
+          )}</div>`
+        : ""
+    }
+    
+    <div class="endpoint-details">`;
+
+  // Authentication
+  if (endpoint.auth) {
+    endpointContent += generateAuthContent(
+      endpoint.auth,
+      context,
+      endpoint.authSource
+    );
+  }
+
+  // Path Variables
+  if (endpoint.pathVariables.length > 0) {
+    endpointContent += `<div class="params-section">
+      <h4>${translations.pathVariables}</h4>
+      ${generateParamsTable(endpoint.pathVariables, context)}
+    </div>`;
+  }
+
+  // Query Parameters
+  if (endpoint.queryParams.length > 0) {
+    endpointContent += `<div class="params-section">
+      <h4>${translations.queryParameters}</h4>
+      ${generateParamsTable(endpoint.queryParams, context)}
+    </div>`;
+  }
+
+  // Headers
+  if (endpoint.headers.length > 0) {
+    endpointContent += `<div class="params-section">
+      <h5>${translations.headers}</h5>
+      ${generateHeadersTable(endpoint.headers, context)}
+    </div>`;
+  }
+
+  // Request Body
+  if (request.body) {
+    endpointContent += generateRequestBodyContent(request, context);
+  }
+  if (endpoint.requestFields.length > 0) {
+    endpointContent += generateFieldsContent(
+      endpoint.requestFields,
+      translations.requestFields,
+      context
+    );
+  }
+
+  // Code samples
+  if (endpoint.sample) {
+    endpointContent += generateCodeSamplesContent(endpoint.sample, context);
+  }
+
+  // Try it console
+  if (endpoint.tryIt) {
+    endpointContent += generateTryItContent(endpoint.tryIt, context);
+  }
+
+  // Response Examples
+  if (endpoint.responses.length > 0) {
+    endpointContent += generateResponseExamplesContent(
+      endpoint.responses,
+      context
+    );
+  }
+  endpoint.responseFields.forEach(({ response, fields }) => {
+    endpointContent += generateFieldsContent(
+      fields,
+      `${translations.responseFields} ${generateStatusBadge(response)}`,
+      context
+    );
+  });
+
+  // Pre-request and test scripts
+  endpointContent += generateScriptsContent(endpoint.scripts, context);
+
+  endpointContent += `</div>
+  </div>`;
+
+  return endpointContent;
+}
+
+// Fields inferred from JSON examples, as a table whose objects and arrays
+// can be collapsed
+function generateFieldsContent(fields, title, context) {
+  const { translations } = context;
+
+  return `<div class="params-section fields">
+      <h5>${title}</h5>
+      <div class="field-tree">
+        <div class="field-row field-header">
+          <span>${translations.field}</span>
+          <span>${translations.type}</span>
+          <span>${translations.example}</span>
+        </div>
+        ${renderFieldList(fields, 0, context)}
+      </div>
+    </div>`;
+}
+
+function renderFieldList(fields, depth, context) {
+  const { translations } = context;
+
+  return `<ul>${fields
+    .map((field) => {
+      const cells = `<span class="field-path" style="--depth: ${depth}"><code>${escapeText(
+        field.path
+      )}</code>${
+        field.optional
+          ? ` <span class="badge badge-optional">${translations.optional}</span>`
+          : ""
+      }</span>
+          <span class="field-type">${escapeText(field.type)}</span>
+          <span class="field-example">${
+            field.example === null
+              ? ""
+              : `<code>${renderVariables(field.example, context)}</code>`
+          }</span>`;
+
+      return field.children.length > 0
+        ? `<li><details open><summary class="field-row">${cells}</summary>${renderFieldList(
+            field.children,
+            depth + 1,
+            context
+          )}</details></li>`
+        : `<li><div class="field-row">${cells}</div></li>`;
+    })
+    .join("")}</ul>`;
+}
+
+// Expected behavior, from the names of the tests, and the scripts as
+// collapsible code blocks
+function generateScriptsContent(scripts, context) {
+  const { translations } = context;
+  if (scripts.length === 0) return "";
+
+  const testNames = getTestNames(scripts);
+  let content = `<div class="params-section scripts">`;
+
+  if (testNames.length > 0) {
+    content += `<h4>${translations.expectedBehavior}</h4>
+    <ul class="expected-behavior">${testNames
+      .map((name) => `<li>${escapeText(name)}</li>`)
+      .join("")}</ul>`;
+  }
+
+  scripts.forEach((script) => {
+    content += `<details class="script"${context.print ? " open" : ""}>
+      <summary>${
+        script.listen === "prerequest"
+          ? translations.prerequestScript
+          : translations.testScript
+      }</summary>
+      ${renderCodeBlock(script.code, "javascript", context)}
+    </details>`;
+  });
+
+  content += "</div>";
+  return content;
+}
+
+function generateAuthContent(auth, context, inheritedFrom = null) {
+  const { translations } = context;
+  const type = auth.type || "noauth";
+  const typeKey = type.charAt(0).toUpperCase() + type.slice(1);
+  const label = translations[`auth${typeKey}`] || escapeText(type);
+  const hint = translations[`auth${typeKey}Hint`];
+  const rows = getAuthRows(auth);
+
+  let content = `<div class="params-section auth-section">
+    <h4>${translations.authentication}</h4>
+    <p>
+      <span class="badge badge-auth">${label}</span>
+      ${
+        inheritedFrom
+          ? `<span class="auth-inherited">${
+              translations.authInheritedFrom
+            } ${escapeText(inheritedFrom)}</span>`
+          : ""
+      }
+    </p>
+    ${hint ? `<p>${hint}</p>` : ""}`;
+
+  if (rows.length > 0) {
+    content += `<table>
+      <thead>
+        <tr>
+          <th>${translations.key}</th>
+          <th>${translations.value}</th>
+        </tr>
+      </thead>
+      <tbody>`;
+
+    rows.forEach(({ key, value, isCredential }) => {
+      content += `<tr>
+        <td><code>${escapeText(key)}</code></td>
+        <td>${renderAuthValue(value, isCredential, context)}</td>
+      </tr>`;
+    });
+
+    content += `</tbody>
+    </table>`;
+  }
+
+  content += "</div>";
+  return content;
+}
+
+function generateRequestBodyContent(request, context) {
+  const { translations } = context;
+  const body = request.body;
+
+  if (body.mode === "raw" && body.raw) {
+    let language = "text";
+
+    if (body.options && body.options.raw && body.options.raw.language) {
+      language = body.options.raw.language;
+    }
+
+    return `<div class="params-section">
+      <h4>${translations.requestBody}</h4>
+      ${renderCodeBlock(body.raw, language, context, (text) =>
+        renderVariables(text, context)
+      )}
+    </div>`;
+  }
+
+  if (body.mode === "formdata" && body.formdata) {
+    const fields = getDocumentedEntries(body.formdata, context);
+    const hasContentType = fields.some((param) => param.contentType);
+
+    let content = `<div class="params-section">
+      <h4>${translations.formData}</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>${translations.key}</th>
+            <th>${translations.value}</th>
+            <th>${translations.type}</th>
+            ${hasContentType ? `<th>${translations.contentType}</th>` : ""}
+            <th>${translations.description}</th>
+          </tr>
+        </thead>
+        <tbody>`;
+
+    fields.forEach((param) => {
+      const value =
+        param.type === "file"
+          ? getFileNames(param.src)
+              .map((fileName) => `<code>${escapeText(fileName)}</code>`)
+              .join(", ")
+          : renderVariables(param.value || "", context);
+
+      content += `<tr${param.disabled ? ' class="disabled-entry"' : ""}>
+        <td>${renderEntryKey(param, context)}</td>
+        <td>${value}</td>
+        <td>${escapeText(param.type || "text")}</td>
+        ${
+          hasContentType
+            ? `<td>${renderVariables(param.contentType || "", context)}</td>`
+            : ""
+        }
+        <td>${renderDescription(param.description, context)}</td>
+      </tr>`;
+    });
+
+    content += `</tbody>
+      </table>
+    </div>`;
+    return content;
+  }
+
+  if (body.mode === "urlencoded" && body.urlencoded) {
+    let content = `<div class="params-section">
+      <h4>${translations.urlencodedBody}</h4>
+      <table>
+        <thead>
+          <tr>
+            <th>${translations.key}</th>
+            <th>${translations.value}</th>
+            <th>${translations.description}</th>
+          </tr>
+        </thead>
+        <tbody>`;
+
+    getDocumentedEntries(body.urlencoded, context).forEach((param) => {
+      content += `<tr${param.disabled ? ' class="disabled-entry"' : ""}>
+        <td>${renderEntryKey(param, context)}</td>
+        <td>${renderVariables(param.value || "", context)}</td>
+        <td>${renderDescription(param.description, context)}</td>
+      </tr>`;
+    });
+
+    content += `</tbody>
+      </table>
+    </div>`;
+    return content;
+  }
+
+  if (body.mode === "graphql" && body.graphql) {
+    const { query = "", variables } = body.graphql;
+    const formattedVariables = formatJson(variables);
+
+    return `<div class="params-section">
+      <h4>${translations.graphqlQuery}</h4>
+      ${renderCodeBlock(formatGraphql(query), "graphql", context, (text) =>
+        renderVariables(text, context)
+      )}
+      ${
+        formattedVariables
+          ? `<h5>${translations.graphqlVariables}</h5>
+      ${renderCodeBlock(formattedVariables, "json", context, (text) =>
+        renderVariables(text, context)
+      )}`
+          : ""
+      }
+    </div>`;
+  }
+
+  if (body.mode === "file" || body.mode === "binary") {
+    const fileNames = getFileNames(body.file ? body.file.src : body.binary);
+    const contentTypeHeader = getEnabledEntries(request.header).find(
+      (header) => header.key && header.key.toLowerCase() === "content-type"
+    );
+
+    return `<div class="params-section">
+      <h4>${translations.binaryBody}</h4>
+      <p>${translations.binaryBodyHint}${
+      fileNames.length > 0
+        ? ` <code>${escapeText(fileNames.join(", "))}</code>`
+        : ""
+    }</p>
+      ${
+        contentTypeHeader
+          ? `<p><strong>${translations.contentType}:</strong> ${renderVariables(
+              contentTypeHeader.value || "",
+              context
+            )}</p>`
+          : ""
+      }
+    </div>`;
+  }
+
+  return "";
+}
+
+function generateResponseExamplesContent(responses, context) {
+  const { translations } = context;
+
+  let content = `<div class="params-section">
+    <h4>${translations.responseExample}</h4>`;
+
+  if (responses.length === 1) {
+    content += generateResponseExampleContent(responses[0], 0, context);
+  } else {
+    // Several examples are shown as tabs
+    content += `<div class="tabs">
+      <div class="tab-list" role="tablist">`;
+
+    responses.forEach((response, index) => {
+      content += `<button class="tab${
+        index === 0 ? " active" : ""
+      }" role="tab">${generateStatusBadge(response)} ${escapeText(
+        getExampleName(response, index, translations)
+      )}</button>`;
+    });
+
+    content += "</div>";
+
+    responses.forEach((response, index) => {
+      content += `<div class="tab-panel${
+        index === 0 ? " active" : ""
+      }" data-label="${escapeAttribute(
+        getExampleName(response, index, translations)
+      )}">${generateResponseExampleContent(response, index, context)}</div>`;
+    });
+
+    content += "</div>";
+  }
+
+  content += "</div>";
+  return content;
+}
+
+function generateResponseExampleContent(response, index, context) {
+  const { translations } = context;
+
+  // Determine content type from headers
+  let contentType = "text/plain";
+  let language = "text";
+
+  const contentTypeHeader = getEnabledEntries(response.header).find(
+    (h) => h.key && h.key.toLowerCase() === "content-type"
+  );
+  if (contentTypeHeader && contentTypeHeader.value) {
+    contentType = contentTypeHeader.value.toLowerCase();
+
+    // Map content types to languages for syntax highlighting
+    if (contentType.includes("json")) {
+      language = "json";
+    } else if (contentType.includes("xml")) {
+      language = "xml";
+    } else if (contentType.includes("html")) {
+      language = "html";
+    } else if (contentType.includes("javascript")) {
+      language = "javascript";
+    }
+  }
+
+  // Use _postman_previewlanguage if available
+  if (response._postman_previewlanguage) {
+    language = response._postman_previewlanguage;
+  }
+
+  let content = `<div class="response-example">
+    <h6>${escapeText(
+      getExampleName(response, index, translations)
+    )} ${generateStatusBadge(response)}</h6>
+    ${
+      contentType !== "text/plain"
+        ? `<p><strong>${translations.contentType}:</strong> ${escapeText(
+            contentType
+          )}</p>`
+        : ""
+    }`;
+  if (response.body) {
+    // Format the response body based on content type
+    let formattedBody = response.body;
+
+    // Try to pretty-print JSON
+    if (language === "json") {
+      try {
+        const parsed = JSON.parse(response.body);
+        formattedBody = JSON.stringify(parsed, null, 2);
+      } catch (e) {
+        // Keep original if parsing fails, it is still highlighted as far
+        // as the tokens can be recognized
+        formattedBody = response.body;
+      }
+    }
+
+    // Check if response is long (more than 10 lines); the print layout
+    // shows it in full
+    const lineCount = formattedBody.split("\n").length;
+    const isLong = !context.print && lineCount > 10;
+
+    content += `<div class="response-body${isLong ? " collapsed" : ""}">
+      ${renderCodeBlock(formattedBody, language, context)}
+    </div>`;
+
+    if (isLong) {
+      content += `<button class="expand-button">${translations.showAll}</button>`;
+    }
+  }
+
+  // Response headers
+  const responseHeaders = getEnabledEntries(response.header).filter(
+    (header) => header.key
+  );
+  if (responseHeaders.length > 0) {
+    content += `<details class="response-details"${
+      context.print ? " open" : ""
+    }>
+      <summary>${translations.responseHeaders} (${
+      responseHeaders.length
+    })</summary>
+      ${generateHeadersTable(responseHeaders, context)}
+    </details>`;
+  }
+
+  // Request that produced this example
+  if (response.originalRequest) {
+    content += `<details class="response-details"${
+      context.print ? " open" : ""
+    }>
+      <summary>${translations.originalRequest}</summary>
+      ${generateOriginalRequestContent(response.originalRequest, context)}
+    </details>`;
+  }
+
+  content += "</div>";
+  return content;
+}
+
+function generateOriginalRequestContent(request, context) {
+  const method = request.method || "GET";
+  const headers = getEnabledEntries(request.header).filter(
+    (header) => header.key
+  );
+
+  let content = `<div class="endpoint-header">
+    <span class="http-method ${escapeAttribute(
+      method.toLowerCase()
+    )}">${escapeText(method)}</span>
+    <span class="url-path">${renderVariables(
+      removeQueryParams(getRawUrl(request.url), context.hiddenQueryParams),
+      context
+    )}</span>
+  </div>`;
+
+  if (headers.length > 0) {
+    content += generateHeadersTable(headers, context);
+  }
+
+  if (request.body) {
+    content += generateRequestBodyContent(request, context);
+  }
+
+  return content;
+}
+
+function generateHeadersTable(headers, context) {
+  const { translations } = context;
+  const hasDescription = headers.some((header) =>
+    getDescriptionContent(header.description)
+  );
+
+  let content = `<table>
+    <thead>
+      <tr>
+        <th>${translations.name}</th>
+        <th>${translations.value}</th>
+        ${hasDescription ? `<th>${translations.description}</th>` : ""}
+      </tr>
+    </thead>
+    <tbody>`;
+
+  headers.forEach((header) => {
+    content += `<tr${header.disabled ? ' class="disabled-entry"' : ""}>
+      <td>${renderEntryKey(header, context)}</td>
+      <td>${renderVariables(header.value || "", context)}</td>
+      ${
+        hasDescription
+          ? `<td>${renderDescription(header.description, context)}</td>`
+          : ""
+      }
+    </tr>`;
+  });
+
+  content += `</tbody>
+  </table>`;
+  return content;
+}
+
+// Table of query parameters or path variables
+function generateParamsTable(params, context) {
+  const { translations } = context;
+
+  let content = `<table>
+    <thead>
+      <tr>
+        <th>${translations.parameter}</th>
+        <th>${translations.value}</th>
+        <th>${translations.description}</th>
+      </tr>
+    </thead>
+    <tbody>`;
+
+  params.forEach((param) => {
+    content += `<tr${param.disabled ? ' class="disabled-entry"' : ""}>
+      <td>${renderEntryKey(param, context)}</td>
+      <td>${renderVariables(param.value || "", context)}</td>
+      <td>${renderDescription(param.description, context)}</td>
+    </tr>`;
+  });
+
+  content += `</tbody>
+  </table>`;
+  return content;
+}
+
+// Parameter or header name, flagged when it is disabled in the collection
+function renderEntryKey(entry, context) {
+  return `${escapeText(entry.key)}${
+    entry.disabled
+      ? ` <span class="badge badge-disabled">${context.translations.disabled}</span>`
+      : ""
+  }`;
+}
+
+// Status badge such as "200 OK", colored by status class
+function generateStatusBadge(response) {
+  const code = Number(response.code);
+  const status = getStatusText(response);
+  if (!status) return "";
+
+  const statusClass = code ? ` status-${Math.floor(code / 100)}xx` : "";
+  return `<span class="badge status-badge${statusClass}">${escapeText(
+    status
+  )}</span>`;
+}
+
+// Status code and text of a response example, such as "200 OK"
+function getStatusText(response) {
+  const code = Number(response.code);
+  return [code || "", response.status || (code && STATUS_CODES[code]) || ""]
+    .join(" ")
+    .trim();
+}
+
+function getExampleName(response, index, translations) {
+  return response.name || `${translations.example} ${index + 1}`;
+}
+
+function generateCodeSamplesContent(sample, context) {
+  const { translations, snippets } = context;
+
+  let content = `<div class="params-section code-samples">
+    <h4>${translations.codeSamples}</h4>
+    <div class="tabs">
+      <div class="tab-list" role="tablist">`;
+
+  snippets.forEach((language, index) => {
+    content += `<button class="tab${index === 0 ? " active" : ""}" role="tab">${
+      SNIPPET_LANGUAGES[language].label
+    }</button>`;
+  });
+
+  content += "</div>";
+
+  snippets.forEach((language, index) => {
+    content += `<div class="tab-panel${
+      index === 0 ? " active" : ""
+    }" data-label="${escapeAttribute(SNIPPET_LANGUAGES[language].label)}">
+      <button class="copy-button">${translations.copy}</button>
+      ${renderCodeBlock(
+        generateSnippet(language, sample),
+        SNIPPET_LANGUAGES[language].language,
+        context
+      )}
+    </div>`;
+  });
+
+  content += `</div>
+  </div>`;
+  return content;
+}
+
+// Try it panel of an endpoint: an editable copy of the request, sent from the
+// browser by the script of generateTryItScript
+function generateTryItContent(tryIt, context) {
+  const { translations } = context;
+  const renderEntries = (
+    name,
+    legend,
+    entries
+  ) => `<fieldset data-entries="${name}">
+        <legend>${legend}</legend>${entries
+    .map(
+      ([key, value]) => `
+        <div class="try-it-row">
+          <input value="${escapeAttribute(key)}" aria-label="${escapeAttribute(
+        translations.key
+      )}">
+          <input value="${escapeAttribute(
+            value
+          )}" aria-label="${escapeAttribute(translations.value)}">
+          <button type="button" class="try-it-remove" aria-label="${escapeAttribute(
+            translations.tryItRemove
+          )}">&times;</button>
+        </div>`
+    )
+    .join("")}
+        <button type="button" class="try-it-add">${
+          translations.tryItAdd
+        }</button>
+      </fieldset>`;
+
+  return `<details class="try-it">
+    <summary>${translations.tryIt}</summary>
+    <form class="try-it-form">
+      <div class="try-it-line">
+        <input class="try-it-method" name="method" value="${escapeAttribute(
+          tryIt.method
+        )}" aria-label="${escapeAttribute(translations.tryItMethod)}">
+        <input class="try-it-url" name="url" value="${escapeAttribute(
+          tryIt.url
+        )}" aria-label="${escapeAttribute(translations.tryItUrl)}">
+        <button type="submit" class="try-it-send">${
+          translations.tryItSend
+        }</button>
+      </div>
+      ${
+        tryIt.pathVariables.length > 0
+          ? renderEntries(
+              "path",
+              translations.pathVariables,
+              tryIt.pathVariables
+            )
+          : ""
+      }
+      ${renderEntries("params", translations.queryParameters, tryIt.params)}
+      ${renderEntries("headers", translations.headers, tryIt.headers)}
+      ${tryIt.basicAuth ? generateTryItBasicAuth(tryIt.basicAuth, context) : ""}
+      <label class="try-it-body">${translations.requestBody}
+        <textarea name="body" spellcheck="false">${escapeText(
+          tryIt.body
+        )}</textarea>
+      </label>
+    </form>
+    <div class="try-it-response" hidden>
+      <p class="try-it-status" role="status"></p>
+      <table>
+        <caption>${translations.responseHeaders}</caption>
+        <thead>
+          <tr>
+            <th>${translations.name}</th>
+            <th>${translations.value}</th>
+          </tr>
+        </thead>
+        <tbody></tbody>
+      </table>
+      <pre><code></code></pre>
+    </div>
+  </details>`;
+}
+
+// Basic credentials of the Try it panel, sent in an Authorization header
+function generateTryItBasicAuth(basicAuth, context) {
+  const { translations } = context;
+
+  return `<fieldset class="try-it-auth">
+        <legend>${translations.authBasic}</legend>
+        <div class="try-it-row">
+          <input name="username" value="${escapeAttribute(
+            basicAuth.username
+          )}" placeholder="${escapeAttribute(
+    translations.tryItUsername
+  )}" aria-label="${escapeAttribute(
+    translations.tryItUsername
+  )}" autocomplete="off">
+          <input name="password" type="password" value="${escapeAttribute(
+            basicAuth.password
+          )}" placeholder="${escapeAttribute(
+    translations.tryItPassword
+  )}" aria-label="${escapeAttribute(
+    translations.tryItPassword
+  )}" autocomplete="off">
+        </div>
+      </fieldset>`;
+}
+
+// Markdown output: one file per top-level folder, plus an index file with
+// the overview, the table of contents and the top-level requests. Returns a
+// { fileName: content } object.
+function generateMarkdownDocumentation(collection, context) {
+  const { info, item: items } = collection;
+  const { translations } = context;
+  const rootContext = inheritAuth(context, collection.auth, info.name);
+  const files = {};
+  const folderFiles = new Map();
+
+  // File names come from the folder names, made unique
+  items.filter(isFolder).forEach((folder) => {
+    const base = slugify(folder.name) || "folder";
+    let fileName = `${base}.md`;
+    for (let i = 2; files[fileName] !== undefined; i++) {
+      fileName = `${base}-${i}.md`;
+    }
+    files[fileName] = "";
+    folderFiles.set(folder, fileName);
+  });
+
+  let index = `# ${escapeMarkdown(info.name)}
+
+${
+  getDescriptionContent(info.description)
+    ? getDescriptionContent(info.description)
+    : translations.noDescriptionAvailable
+}
+`;
+
+  if (collection.auth) {
+    index += `\n${renderMarkdownAuth(collection.auth, 2, rootContext)}`;
+  }
+  if (context.showScripts) {
+    index += `\n${renderMarkdownScripts(
+      getScripts(collection.event),
+      2,
+      rootContext
+    )}`;
+  }
+
+  index += `\n## ${translations.tableOfContents}\n\n`;
+  items.forEach((item) => {
+    index += generateMarkdownTocItem(
+      item,
+      folderFiles.get(item) || "",
+      "",
+      context
+    );
+  });
+
+  items.forEach((item) => {
+    if (isFolder(item)) {
+      files[folderFiles.get(item)] = generateFolderContent(
+        item,
+        [],
+        2,
+        rootContext
+      );
+    } else {
+      index += `\n${generateEndpointContent([], item, rootContext)}`;
+    }
+  });
+
+  index = `${index.trimEnd()}\n\n---\n\n_${
+    translations.documentationGenerated
+  } ${formatDate(new Date(), context.language)}_\n`;
+
+  return { "index.md": index, ...files };
+}
+
+function generateMarkdownTocItem(item, fileName, indent, context) {
+  const link = `${indent}- [${escapeMarkdown(
+    item.name
+  )}](${fileName}#${context.itemIds.get(item)})\n`;
+  if (!isFolder(item)) return link;
+
+  let toc = link;
+  item.item.forEach((subItem) => {
+    toc += generateMarkdownTocItem(subItem, fileName, `${indent}  `, context);
+  });
+  return toc;
+}
+
+function renderMarkdownFolder(folder, content, context) {
+  // Top-level folders start their own file
+  const level = Math.max(folder.headerLevel - 1, 1);
+  let markdown = `<a id="${folder.id}"></a>\n\n${"#".repeat(
+    level
+  )} ${escapeMarkdown(folder.name)}\n\n`;
+
+  if (getDescriptionContent(folder.description)) {
+    markdown += `${getDescriptionContent(folder.description)}\n\n`;
+  }
+
+  if (folder.auth) {
+    markdown += `${renderMarkdownAuth(folder.auth, level + 1, context)}\n`;
+  }
+
+  markdown += renderMarkdownScripts(folder.scripts, level + 1, context);
+
+  return `${markdown}${content}`;
+}
+
+function renderMarkdownEndpoint(endpoint, context) {
+  const { translations } = context;
+  const { request } = endpoint;
+  const level = Math.min(Math.max(endpoint.path.length, 1) + 1, 6);
+  const subLevel = "#".repeat(Math.min(level + 1, 6));
+  const resolve = (text) =>
+    resolveVariables(text == null ? "" : String(text), context.variables);
+
+  let markdown = `<a id="${endpoint.id}"></a>\n\n${"#".repeat(
+    level
+  )} ${escapeMarkdown(endpoint.name)}\n\n`;
+
+  if (!request) {
+    return `${markdown}${translations.noRequestInfoAvailable}\n\n`;
+  }
+
+  markdown += `${inlineCode(endpoint.method)} ${inlineCode(
+    resolve(endpoint.url)
+  )}\n\n`;
+
+  if (getDescriptionContent(endpoint.description)) {
+    markdown += `${getDescriptionContent(endpoint.description)}\n\n`;
+  }
+
+  if (endpoint.auth) {
+    markdown += `${renderMarkdownAuth(
+      endpoint.auth,
+      level + 1,
+      context,
+      endpoint.authSource
+    )}\n`;
+  }
+
+  [
+    [
+      translations.pathVariables,
+      endpoint.pathVariables,
+      translations.parameter,
+    ],
+    [
+      translations.queryParameters,
+      endpoint.queryParams,
+      translations.parameter,
+    ],
+    [translations.headers, endpoint.headers, translations.name],
+  ].forEach(([title, entries, keyLabel]) => {
+    if (entries.length === 0) return;
+    const hasDescription = entries.some((entry) =>
+      getDescriptionContent(entry.description)
+    );
+    markdown += `${subLevel} ${title}\n\n${markdownTable(
+      [
+        keyLabel,
+        translations.value,
+        ...(hasDescription ? [translations.description] : []),
+      ],
+      entries.map((entry) => [
+        renderMarkdownEntryKey(entry, context),
+        inlineCode(resolve(entry.value)),
+        ...(hasDescription ? [getDescriptionContent(entry.description)] : []),
+      ])
+    )}\n`;
+  });
+
+  if (request.body) {
+    markdown += renderMarkdownBody(request, subLevel, context);
+  }
+  if (endpoint.requestFields.length > 0) {
+    markdown += renderMarkdownFields(
+      endpoint.requestFields,
+      translations.requestFields,
+      context
+    );
+  }
+
+  if (endpoint.sample) {
+    markdown += `${subLevel} ${translations.codeSamples}\n\n`;
+    context.snippets.forEach((language) => {
+      const { label, language: fenceLanguage } = SNIPPET_LANGUAGES[language];
+      markdown += `**${label}**\n\n${fencedCode(
+        generateSnippet(language, endpoint.sample),
+        fenceLanguage
+      )}\n`;
+    });
+  }
+
+  if (endpoint.responses.length > 0) {
+    markdown += `${subLevel} ${translations.responseExample}\n\n`;
+    endpoint.responses.forEach((response, index) => {
+      markdown += renderMarkdownResponse(response, index, context);
+    });
+  }
+
+  endpoint.responseFields.forEach(({ response, fields }) => {
+    markdown += renderMarkdownFields(
+      fields,
+      `${translations.responseFields} ${inlineCode(getStatusText(response))}`,
+      context
+    );
+  });
+
+  markdown += renderMarkdownScripts(endpoint.scripts, level + 1, context);
+
+  return markdown;
+}
+
+// Inferred fields as a table, with the path of the nested fields
+function renderMarkdownFields(fields, title, context) {
+  const { translations } = context;
+  const rows = [];
+  const addRows = (list) =>
+    list.forEach((field) => {
+      rows.push([
+        `${inlineCode(field.path)}${
+          field.optional ? ` _(${translations.optional})_` : ""
+        }`,
+        escapeMarkdown(field.type),
+        inlineCode(field.example),
+      ]);
+      addRows(field.children);
+    });
+  addRows(fields);
+
+  return `**${title.trim()}**\n\n${markdownTable(
+    [translations.field, translations.type, translations.example],
+    rows
+  )}\n`;
+}
+
+function renderMarkdownScripts(scripts, level, context) {
+  const { translations } = context;
+  if (scripts.length === 0) return "";
+
+  const testNames = getTestNames(scripts);
+  let markdown = "";
+
+  if (testNames.length > 0) {
+    markdown += `${"#".repeat(Math.min(level, 6))} ${
+      translations.expectedBehavior
+    }\n\n${testNames
+      .map((name) => `- ${escapeMarkdown(name)}`)
+      .join("\n")}\n\n`;
+  }
+
+  scripts.forEach((script) => {
+    markdown += `<details>\n<summary>${
+      script.listen === "prerequest"
+        ? translations.prerequestScript
+        : translations.testScript
+    }</summary>\n\n${fencedCode(script.code, "javascript")}\n</details>\n\n`;
+  });
+
+  return markdown;
+}
+
+function renderMarkdownAuth(auth, level, context, inheritedFrom = null) {
+  const { translations } = context;
+  const type = auth.type || "noauth";
+  const typeKey = type.charAt(0).toUpperCase() + type.slice(1);
+  const hint = translations[`auth${typeKey}Hint`];
+  const rows = getAuthRows(auth);
+
+  let markdown = `${"#".repeat(Math.min(level, 6))} ${
+    translations.authentication
+  }\n\n**${translations[`auth${typeKey}`] || escapeMarkdown(type)}**${
+    inheritedFrom
+      ? ` _(${translations.authInheritedFrom} ${escapeMarkdown(
+          inheritedFrom
+        )})_`
+      : ""
+  }\n\n`;
+
+  if (hint) {
+    markdown += `${hint}\n\n`;
+  }
+
+  if (rows.length > 0) {
+    markdown += markdownTable(
+      [translations.key, translations.value],
+      rows.map(({ key, value, isCredential }) => {
+        const text =
+          typeof value === "object" ? JSON.stringify(value) : String(value);
+        // Never resolve credentials: show the variable name or a mask instead
+        return [
+          inlineCode(key),
+          !isCredential
+            ? inlineCode(resolveVariables(text, context.variables))
+            : isVariableReference(text)
+            ? inlineCode(text.trim())
+            : "••••••••",
+        ];
+      })
+    );
+  }
+
+  return markdown;
+}
+
+function renderMarkdownBody(request, subLevel, context) {
+  const { translations } = context;
+  const { body } = request;
+  const resolve = (text) =>
+    resolveVariables(text == null ? "" : String(text), context.variables);
+
+  if (body.mode === "raw" && body.raw) {
+    const language =
+      (body.options && body.options.raw && body.options.raw.language) || "text";
+    return `${subLevel} ${translations.requestBody}\n\n${fencedCode(
+      resolve(body.raw),
+      language
+    )}\n`;
+  }
+
+  if (
+    (body.mode === "formdata" && body.formdata) ||
+    (body.mode === "urlencoded" && body.urlencoded)
+  ) {
+    const isFormData = body.mode === "formdata";
+    const fields = getDocumentedEntries(body[body.mode], context);
+    return `${subLevel} ${
+      isFormData ? translations.formData : translations.urlencodedBody
+    }\n\n${markdownTable(
+      [
+        translations.key,
+        translations.value,
+        ...(isFormData ? [translations.type] : []),
+        translations.description,
+      ],
+      fields.map((field) => [
+        renderMarkdownEntryKey(field, context),
+        field.type === "file"
+          ? getFileNames(field.src).map(inlineCode).join(", ")
+          : inlineCode(resolve(field.value)),
+        ...(isFormData ? [field.type || "text"] : []),
+        getDescriptionContent(field.description),
+      ])
+    )}\n`;
+  }
+
+  if (body.mode === "graphql" && body.graphql) {
+    const { query = "", variables } = body.graphql;
+    const formattedVariables = formatJson(variables);
+    return `${subLevel} ${translations.graphqlQuery}\n\n${fencedCode(
+      resolve(formatGraphql(query)),
+      "graphql"
+    )}\n${
+      formattedVariables
+        ? `**${translations.graphqlVariables}**\n\n${fencedCode(
+            resolve(formattedVariables),
+            "json"
+          )}\n`
+        : ""
+    }`;
+  }
+
+  if (body.mode === "file" || body.mode === "binary") {
+    const fileNames = getFileNames(body.file ? body.file.src : body.binary);
+    return `${subLevel} ${translations.binaryBody}\n\n${
+      translations.binaryBodyHint
+    }${fileNames.length > 0 ? ` ${inlineCode(fileNames.join(", "))}` : ""}\n\n`;
+  }
+
+  return "";
+}
+
+function renderMarkdownResponse(response, index, context) {
+  const { translations } = context;
+  const status = getStatusText(response);
+  const contentTypeHeader = getEnabledEntries(response.header).find(
+    (header) => header.key && header.key.toLowerCase() === "content-type"
+  );
+  const language =
+    response._postman_previewlanguage ||
+    (contentTypeHeader &&
+    String(contentTypeHeader.value).toLowerCase().includes("json")
+      ? "json"
+      : "text");
+
+  let markdown = `**${escapeMarkdown(
+    getExampleName(response, index, translations)
+  )}**${status ? ` ${inlineCode(status)}` : ""}\n\n`;
+
+  if (response.body) {
+    markdown += `${fencedCode(
+      language === "json"
+        ? formatJson(response.body) || response.body
+        : response.body,
+      language
+    )}\n`;
+  }
+
+  const responseHeaders = getEnabledEntries(response.header).filter(
+    (header) => header.key
+  );
+  if (responseHeaders.length > 0) {
+    markdown += `<details>\n<summary>${translations.responseHeaders} (${
+      responseHeaders.length
+    })</summary>\n\n${markdownTable(
+      [translations.name, translations.value],
+      responseHeaders.map((header) => [
+        escapeMarkdown(header.key),
+        inlineCode(header.value),
+      ])
+    )}\n</details>\n\n`;
+  }
+
+  return markdown;
 }
 
-function generateFoldersContent(folders, converter, translations) {
-  let content = "";
+function renderMarkdownEntryKey(entry, context) {
+  return `${escapeMarkdown(entry.key)}${
+    entry.disabled ? ` _(${context.translations.disabled})_` : ""
+  }`;
+}
 
-  folders.forEach((folder) => {
-    content += generateFolderContent(folder, [], 2, converter, translations);
-  });
+// GitHub-flavored Markdown table; cells are Markdown, kept on one line
+function markdownTable(headers, rows) {
+  const cell = (text) =>
+    String(text == null ? "" : text)
+      .trim()
+      .replace(/\r?\n/g, "<br>")
+      .replace(/\|/g, "\\|");
 
-  return content;
+  return [
+    `| ${headers.map(cell).join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.map(cell).join(" | ")} |`),
+  ]
+    .map((line) => `${line}\n`)
+    .join("");
 }
 
-function generateFolderContent(
-  item,
-  parentPath,
-  headerLevel,
-  converter,
-  translations
-) {
-  const itemPath = [...parentPath, item.name];
-  const itemId = getFolderId(itemPath.join("-"));
-  const headerTag = `h${headerLevel}`;
+function inlineCode(text) {
+  const value = String(text == null ? "" : text);
+  if (value === "") return "";
+  // The delimiter must be longer than any backtick run in the value
+  const longestRun = Math.max(
+    0,
+    ...(value.match(/`+/g) || []).map((run) => run.length)
+  );
+  const fence = "`".repeat(longestRun + 1);
+  return longestRun > 0
+    ? `${fence} ${value} ${fence}`
+    : `${fence}${value}${fence}`;
+}
+
+function fencedCode(code, language = "") {
+  const longestRun = Math.max(
+    2,
+    ...(String(code).match(/`{3,}/g) || []).map((run) => run.length)
+  );
+  const fence = "`".repeat(longestRun + 1);
+  return `${fence}${language}\n${String(code).replace(/\n$/, "")}\n${fence}\n`;
+}
 
-  let content = `<section id="${itemId}">
-    <${headerTag}>${item.name}</${headerTag}>`;
+// Escape the characters that would be read as Markdown syntax in a name
+function escapeMarkdown(text) {
+  return String(text).replace(/[\\`*_[\]<>|#]/g, "\\$&");
+}
 
-  if (item.description) {
-    content += `<div class="folder-description">${converter.makeHtml(
-      item.description
-    )}</div>`;
-  }
+// Plain request data used to generate the code samples: variables are
+// resolved and credentials are replaced by placeholders
+function buildSampleRequest(request, auth, context) {
+  const resolve = (text) =>
+    resolveVariables(text == null ? "" : String(text), context.variables);
 
-  if (item.item && item.item.length > 0) {
-    item.item.forEach((subItem) => {
-      if (isFolder(subItem)) {
-        // Recursive call for nested folders with increased header level
-        content += generateFolderContent(
-          subItem,
-          itemPath,
-          Math.min(headerLevel + 1, 6),
-          converter,
-          translations
-        );
+  let url = removeQueryParams(
+    substitutePathVariables(
+      resolve(getRawUrl(request.url)),
+      getEnabledEntries(request.url && request.url.variable).map((variable) => [
+        variable.key,
+        resolve(variable.value),
+      ])
+    ),
+    context.hiddenQueryParams
+  );
+  const headers = getEnabledEntries(request.header)
+    .filter(
+      (header) =>
+        header.key && !context.hiddenHeaders.includes(header.key.toLowerCase())
+    )
+    .map((header) => [header.key, resolve(header.value)]);
+  let sampleAuth = null;
+
+  if (auth) {
+    const params = getAuthParams(auth);
+    const credential = (key, placeholder = key) =>
+      isVariableReference(params[key])
+        ? params[key].trim()
+        : `<${placeholder}>`;
+
+    if (auth.type === "bearer") {
+      headers.push(["Authorization", `Bearer ${credential("token")}`]);
+    } else if (auth.type === "oauth2") {
+      headers.push([
+        "Authorization",
+        `${resolve(params.headerPrefix || "Bearer")} ${credential(
+          "accessToken"
+        )}`,
+      ]);
+    } else if (auth.type === "apikey") {
+      const name = resolve(params.key || "X-API-Key");
+      if (params.in === "query") {
+        url += `${url.includes("?") ? "&" : "?"}${name}=${credential(
+          "value",
+          "api-key"
+        )}`;
       } else {
-        // Direct endpoint
-        content += generateEndpointContent(
-          itemPath,
-          subItem,
-          converter,
-          translations
-        );
+        headers.push([name, credential("value", "api-key")]);
       }
-    });
+    } else if (auth.type === "basic" || auth.type === "digest") {
+      sampleAuth = {
+        type: auth.type,
+        username: credential("username"),
+        password: credential("password"),
+      };
+    }
   }
 
-  content += "</section>";
-  return content;
-}
+  let body = null;
+  const requestBody = request.body;
 
-function generateEndpointContent(
-  parentPath,
-  endpoint,
-  converter,
-  translations
-) {
-  const endpointId = getEndpointId(parentPath, endpoint.name);
-  const request = endpoint.request;
+  if (requestBody && requestBody.mode === "raw" && requestBody.raw) {
+    const raw = resolve(requestBody.raw);
+    const language =
+      requestBody.options &&
+      requestBody.options.raw &&
+      requestBody.options.raw.language;
+    let json;
+    try {
+      json = JSON.parse(raw);
+    } catch (e) {
+      json = undefined;
+    }
 
-  if (!request) {
-    return `<div class="endpoint" id="${endpointId}">
-      <h4>${endpoint.name}</h4>
-      <p>${translations.noRequestInfoAvailable}</p>
-    </div>`;
-  }
+    // Postman sends a Content-Type matching the raw body language
+    const hasContentType = headers.some(
+      ([key]) => key.toLowerCase() === "content-type"
+    );
+    if (!hasContentType && RAW_CONTENT_TYPES[language]) {
+      headers.push(["Content-Type", RAW_CONTENT_TYPES[language]]);
+    }
 
-  const method = request.method || "GET";
-  const methodClass = method.toLowerCase();
+    body = { mode: "raw", raw, json };
+  } else if (requestBody && requestBody.mode === "graphql") {
+    const graphql = requestBody.graphql || {};
+    let graphqlVariables;
+    try {
+      graphqlVariables = graphql.variables
+        ? JSON.parse(resolve(graphql.variables))
+        : undefined;
+    } catch (e) {
+      graphqlVariables = undefined;
+    }
 
-  // Format URL
-  let url = "";
-  if (typeof request.url === "string") {
-    url = cleanPostmanVariables(request.url);
-  } else if (request.url && request.url.raw) {
-    url = cleanPostmanVariables(request.url.raw);
+    // Postman sends GraphQL requests as a JSON body
+    const json = { query: resolve(graphql.query) };
+    if (graphqlVariables !== undefined) {
+      json.variables = graphqlVariables;
+    }
+    if (!headers.some(([key]) => key.toLowerCase() === "content-type")) {
+      headers.push(["Content-Type", "application/json"]);
+    }
+
+    body = { mode: "raw", raw: JSON.stringify(json, null, 2), json };
+  } else if (
+    requestBody &&
+    (requestBody.mode === "file" || requestBody.mode === "binary")
+  ) {
+    const fileNames = getFileNames(
+      requestBody.file ? requestBody.file.src : requestBody.binary
+    );
+    body = { mode: "file", src: fileNames[0] || "file" };
+  } else if (requestBody && requestBody.mode === "urlencoded") {
+    body = {
+      mode: "urlencoded",
+      fields: getEnabledEntries(requestBody.urlencoded)
+        .filter((param) => param.key)
+        .map((param) => [param.key, resolve(param.value)]),
+    };
+  } else if (requestBody && requestBody.mode === "formdata") {
+    body = {
+      mode: "formdata",
+      fields: getEnabledEntries(requestBody.formdata)
+        .filter((param) => param.key)
+        .map((param) => ({
+          key: param.key,
+          value: resolve(param.value),
+          file: param.type === "file",
+          src: getFileNames(param.src)[0] || "file",
+        })),
+    };
   }
 
-  // Format URL path
-  let urlPath = "";
-  if (request.url && request.url.path) {
-    urlPath = "/" + request.url.path.map(cleanPostmanVariables).join("/");
+  return {
+    method: request.method || "GET",
+    url,
+    headers,
+    auth: sampleAuth,
+    body,
+  };
+}
+
+// Request of the Try it panel, built like the code samples but keeping the
+// variables, which the browser replaces with the values of the variable panel
+function buildTryItRequest(request, auth, context) {
+  // Path variables get their own rows, so they are kept in the URL
+  const url =
+    request.url && typeof request.url === "object"
+      ? { ...request.url, variable: [] }
+      : request.url;
+  const sample = buildSampleRequest({ ...request, url }, auth, {
+    ...context,
+    variables: new Map(),
+  });
+  const decode = (text) => {
+    try {
+      return decodeURIComponent(text.replace(/\+/g, " "));
+    } catch (e) {
+      return text;
+    }
+  };
+  // Percent-encode a form value around its variables
+  const encode = (text) =>
+    text
+      .split(/(\{\{[^{}]+\}\})/)
+      .map((part, index) => (index % 2 ? part : encodeURIComponent(part)))
+      .join("");
+
+  const queryStart = sample.url.indexOf("?");
+  const params =
+    queryStart === -1
+      ? []
+      : sample.url
+          .slice(queryStart + 1)
+          .split("&")
+          .filter(Boolean)
+          .map((pair) => {
+            const [key, ...value] = pair.split("=");
+            return [decode(key), decode(value.join("="))];
+          });
+  const pathVariables = getEnabledEntries(request.url && request.url.variable)
+    .filter((variable) => variable.key)
+    .map((variable) => [
+      variable.key,
+      variable.value == null ? "" : String(variable.value),
+    ]);
+  // :name segments without a variable entry get an empty row
+  const path = queryStart === -1 ? sample.url : sample.url.slice(0, queryStart);
+  for (const match of path.matchAll(/\/:([\w-]+)/g)) {
+    if (!pathVariables.some(([key]) => key === match[1])) {
+      pathVariables.push([match[1], ""]);
+    }
   }
+  const headers = [...sample.headers];
 
-  // Get query parameters
-  const queryParams = [];
-  if (request.url && request.url.query) {
-    request.url.query.forEach((param) => {
-      queryParams.push(param);
-    });
+  // Basic credentials are entered in the panel: they start empty unless they
+  // are variables, like the secrets of the variable panel
+  let basicAuth = null;
+  if (sample.auth && sample.auth.type === "basic") {
+    const { username, password } = getAuthParams(auth);
+    basicAuth = {
+      username: isVariableReference(username) ? username.trim() : "",
+      password: isVariableReference(password) ? password.trim() : "",
+    };
   }
 
-  // Format headers
-  const headers = [];
-  if (request.header) {
-    request.header.forEach((header) => {
-      headers.push(header);
-    });
+  // Files cannot be given in the panel, so only text bodies are prefilled
+  let body = "";
+  if (sample.body && sample.body.mode === "raw") {
+    body = sample.body.raw;
+  } else if (sample.body && sample.body.mode === "urlencoded") {
+    body = sample.body.fields
+      .map(([key, value]) => `${encode(key)}=${encode(value)}`)
+      .join("&");
+    if (!headers.some(([key]) => key.toLowerCase() === "content-type")) {
+      headers.push(["Content-Type", "application/x-www-form-urlencoded"]);
+    }
   }
 
-  let endpointContent = `<div class="endpoint" id="${endpointId}">
-    <div class="endpoint-header">
-      <span class="http-method ${methodClass}">${method}</span>
-      <span class="url-path">${urlPath || url}</span>
-    </div>
-    
-    <h3>${endpoint.name}</h3>
-    
-    ${
-      endpoint.description || request.description
-        ? `<div class="endpoint-description">${converter.makeHtml(
-            endpoint.description || request.description
-          )}</div>`
-        : ""
+  return {
+    method: sample.method,
+    url: path,
+    pathVariables,
+    params,
+    headers,
+    basicAuth,
+    body,
+  };
+}
+
+// Variables of the Try it panel: the ones referenced by the requests and
+// their authentication, and the ones referenced by the values of these
+function getTryItVariables(collection, context) {
+  const names = new Set();
+
+  const addReferences = (value) => {
+    if (value == null) return;
+    const text = typeof value === "string" ? value : JSON.stringify(value);
+    for (const match of text.matchAll(VARIABLE_PATTERN)) {
+      const name = match[1].trim();
+      if (names.has(name)) continue;
+      names.add(name);
+      const variable = context.variables.get(name);
+      if (variable) addReferences(variable.value);
     }
-    
-    <div class="endpoint-details">`;
+  };
+  const addItem = (item) => {
+    if (isFolder(item)) {
+      addReferences(item.auth);
+      item.item.forEach(addItem);
+    } else if (item.request && typeof item.request === "object") {
+      const { url, header, body, auth } = item.request;
+      [url, header, body, auth].forEach(addReferences);
+    } else {
+      addReferences(item.request);
+    }
+  };
 
-  // Query Parameters (exclude token as it's explained in the main description)
-  const filteredQueryParams = queryParams.filter(
-    (param) =>
-      param.key &&
-      param.key.toLowerCase() !== "token" &&
-      param.key.toLowerCase() !== "key"
-  );
+  addReferences(collection.auth);
+  collection.item.forEach(addItem);
 
-  if (filteredQueryParams.length > 0) {
-    endpointContent += `<div class="params-section">
-      <h4>${translations.queryParameters}</h4>
-      <table>
-        <thead>
-          <tr>
-            <th>${translations.parameter}</th>
-            <th>${translations.value}</th>
-            <th>${translations.description}</th>
-          </tr>
-        </thead>
-        <tbody>`;
+  // Secret values are left for the reader to fill in
+  return [...names].map((name) => {
+    const variable = context.variables.get(name);
+    const secret = Boolean(variable && variable.secret);
+    return { name, value: variable && !secret ? variable.value : "", secret };
+  });
+}
 
-    filteredQueryParams.forEach((param) => {
-      endpointContent += `<tr>
-        <td>${param.key}</td>
-        <td>${cleanPostmanVariables(param.value || "")}</td>
-        <td>${escapeHtml(param.description || "")}</td>
-      </tr>`;
-    });
+// Fields of a JSON raw request body
+function getRequestFields(body) {
+  if (!body || body.mode !== "raw" || !body.raw) return [];
+  const json = parseJsonBody(body.raw);
+  return json === undefined ? [] : inferFields([json]);
+}
 
-    endpointContent += `</tbody>
-      </table>
-    </div>`;
+// Fields of the JSON response examples, merged by status code:
+// [{ response, fields }], response being the first example of the status
+function getResponseFields(responses) {
+  if (!Array.isArray(responses)) return [];
+
+  const groups = new Map();
+  responses.forEach((response) => {
+    const json = parseJsonBody(response.body);
+    if (json === undefined) return;
+    const key = getStatusText(response);
+    if (!groups.has(key)) groups.set(key, { response, examples: [] });
+    groups.get(key).examples.push(json);
+  });
+
+  return [...groups.values()]
+    .map(({ response, examples }) => ({
+      response,
+      fields: inferFields(examples),
+    }))
+    .filter(({ fields }) => fields.length > 0);
+}
+
+// JSON object or array of a body, or undefined
+function parseJsonBody(text) {
+  if (typeof text !== "string") return undefined;
+  try {
+    const json = JSON.parse(text);
+    return typeof json === "object" && json !== null ? json : undefined;
+  } catch (e) {
+    return undefined;
   }
+}
 
-  // Headers
-  if (headers.length > 0) {
-    endpointContent += `<div class="params-section">
-      <h5>${translations.headers}</h5>
-      <table>
-        <thead>
-          <tr>
-            <th>${translations.name}</th>
-            <th>${translations.value}</th>
-          </tr>
-        </thead>
-        <tbody>`;
+// Pre-request and test scripts of an event list, as { listen, code }
+function getScripts(events) {
+  if (!Array.isArray(events)) return [];
 
-    headers.forEach((header) => {
-      endpointContent += `<tr>
-        <td>${header.key}</td>
-        <td>${cleanPostmanVariables(header.value || "")}</td>
-      </tr>`;
+  return events
+    .filter(
+      (event) =>
+        event &&
+        !event.disabled &&
+        ["prerequest", "test"].includes(event.listen) &&
+        event.script
+    )
+    .map((event) => ({
+      listen: event.listen,
+      code: Array.isArray(event.script.exec)
+        ? event.script.exec.join("\n")
+        : String(event.script.exec || ""),
+    }))
+    .filter((script) => script.code.trim() !== "");
+}
+
+// Names of the pm.test("name", ...) assertions of the test scripts
+function getTestNames(scripts) {
+  const names = [];
+  scripts
+    .filter((script) => script.listen === "test")
+    .forEach((script) => {
+      for (const match of script.code.matchAll(TEST_NAME_PATTERN)) {
+        names.push(match[2].replace(/\\(.)/g, "$1"));
+      }
     });
+  return names;
+}
 
-    endpointContent += `</tbody>
-      </table>
-    </div>`;
+// Track the authentication scheme inherited down the folder tree
+function inheritAuth(context, auth, source) {
+  if (!auth || auth.type === "inherit") return context;
+  return { ...context, auth: { scheme: auth, source } };
+}
+
+// Documented auth parameters: known schemes list their documented fields,
+// unknown ones are fully masked
+function getAuthRows(auth) {
+  const params = getAuthParams(auth);
+  const fields =
+    AUTH_SCHEMES[auth.type || "noauth"] ||
+    Object.fromEntries(Object.keys(params).map((key) => [key, true]));
+
+  return Object.entries(fields)
+    .filter(([key]) => params[key] !== undefined && params[key] !== "")
+    .map(([key, isCredential]) => ({ key, value: params[key], isCredential }));
+}
+
+function renderAuthValue(value, isCredential, context) {
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+
+  if (!isCredential) {
+    return renderVariables(text, context);
   }
 
-  // Request Body
-  if (request.body) {
-    const body = request.body;
+  // Never resolve credentials: show the variable name or a mask instead
+  if (isVariableReference(text)) {
+    return `<code>${escapeText(text.trim())}</code>`;
+  }
+  return `<span class="masked">••••••••</span>`;
+}
 
-    if (body.mode === "raw" && body.raw) {
-      let rawBody = cleanPostmanVariables(body.raw);
-      let language = "text";
+// Body fields, query parameters and headers can be disabled in Postman
+function getEnabledEntries(entries) {
+  if (!Array.isArray(entries)) return [];
+  return entries.filter((entry) => entry && !entry.disabled);
+}
 
-      if (body.options && body.options.raw && body.options.raw.language) {
-        language = body.options.raw.language;
-      }
+// Entries listed in the documentation: disabled ones are only shown (with a
+// badge) when requested
+function getDocumentedEntries(entries, context) {
+  if (!Array.isArray(entries)) return [];
+  return context.showDisabled
+    ? entries.filter(Boolean)
+    : getEnabledEntries(entries);
+}
 
-      endpointContent += `<div class="params-section">
-        <h4>${translations.requestBody}</h4>
-        <pre><code class="language-${language}">${rawBody}</code></pre>
-      </div>`;
-    } else if (body.mode === "formdata" && body.formdata) {
-      endpointContent += `<div class="params-section">
-        <h4>${translations.formData}</h4>
-        <table>
-          <thead>
-            <tr>
-              <th>${translations.key}</th>
-              <th>${translations.value}</th>
-              <th>${translations.type}</th>
-            </tr>
-          </thead>
-          <tbody>`;
-
-      body.formdata.forEach((param) => {
-        endpointContent += `<tr>
-          <td>${param.key}</td>
-          <td>${cleanPostmanVariables(param.value || "")}</td>
-          <td>${param.type || "text"}</td>
-        </tr>`;
-      });
+// Render a description as Markdown, or as plain text when its type says so
+function renderDescription(description, context) {
+  const content = getDescriptionContent(description);
 
-      endpointContent += `</tbody>
-        </table>
-      </div>`;
-    }
+  if (description && description.type === "text/plain") {
+    return escapeText(content).replace(/\n/g, "<br>");
   }
+  return renderMarkdown(content, context);
+}
 
-  // Response Examples
-  if (endpoint.response && endpoint.response.length > 0) {
-    endpointContent += `<div class="params-section">
-      <h4>${translations.responseExample}</h4>`;
+// File sources are a path, a list of paths or null when not selected
+function getFileNames(src) {
+  if (Array.isArray(src)) return src.filter(Boolean).map(String);
+  return src ? [String(src)] : [];
+}
 
-    endpoint.response.forEach((response, index) => {
-      // Determine content type from headers
-      let contentType = "text/plain";
-      let language = "text";
+// Pretty-print a JSON string, keeping it as is when it is not valid JSON
+function formatJson(text) {
+  if (typeof text !== "string" || text.trim() === "") return "";
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (e) {
+    return text;
+  }
+}
 
-      if (response.header) {
-        const contentTypeHeader = response.header.find(
-          (h) => h.key && h.key.toLowerCase() === "content-type"
-        );
-        if (contentTypeHeader && contentTypeHeader.value) {
-          contentType = contentTypeHeader.value.toLowerCase();
-
-          // Map content types to languages for syntax highlighting
-          if (contentType.includes("json")) {
-            language = "json";
-          } else if (contentType.includes("xml")) {
-            language = "xml";
-          } else if (contentType.includes("html")) {
-            language = "html";
-          } else if (contentType.includes("javascript")) {
-            language = "javascript";
-          }
-        }
+// Indent single-line GraphQL documents; multi-line ones are already laid out
+function formatGraphql(query) {
+  if (typeof query !== "string" || query.includes("\n")) return query || "";
+
+  const tokens =
+    query.match(
+      /"(?:\\.|[^"\\])*"|\.\.\.|[{}()[\]:,=!@$]|[^\s{}()[\]:,=!@$"]+/g
+    ) || [];
+  const isName = (token) => token && /^[\w$"]/.test(token);
+  let formatted = "";
+  let depth = 0;
+  let parens = 0;
+  let previous = null;
+
+  tokens.forEach((token) => {
+    const indent = "  ".repeat(depth);
+
+    if ((token === "{" || token === "}") && parens > 0) {
+      // Input object values stay on the line of their argument
+      formatted += token === "{" && previous === ":" ? " {" : token;
+    } else if (token === "{") {
+      depth++;
+      formatted += " {\n" + "  ".repeat(depth);
+    } else if (token === "}") {
+      depth = Math.max(depth - 1, 0);
+      formatted = formatted.trimEnd() + "\n" + "  ".repeat(depth) + "}";
+    } else if (token === "(" || token === ")") {
+      parens += token === "(" ? 1 : -1;
+      formatted += token;
+    } else if (token === ":" || token === "," || token === "!") {
+      formatted += token;
+    } else {
+      const startsField =
+        depth > 0 &&
+        parens === 0 &&
+        (isName(previous) || previous === ")" || previous === "}") &&
+        previous !== "on";
+      const spaced =
+        previous !== null &&
+        previous !== "(" &&
+        previous !== "$" &&
+        previous !== "@" &&
+        (previous !== "..." || token === "on") &&
+        !(previous === "{" && parens > 0) &&
+        previous !== "[" &&
+        !formatted.endsWith(" ") &&
+        !formatted.endsWith("\n" + indent);
+
+      if (startsField && token !== "@") {
+        formatted += "\n" + indent;
+      } else if (spaced && token !== "]") {
+        formatted += " ";
       }
+      formatted += token;
+    }
+
+    previous = token;
+  });
+
+  return formatted.trim();
+}
+
+// Replace the :name path variables of a URL with their [name, value]
+// entries, as Postman does when sending the request. Path variables without
+// a value are kept.
+function substitutePathVariables(url, entries) {
+  const values = new Map(entries.filter(([key, value]) => key && value));
+  const queryStart = url.indexOf("?");
+  const path = queryStart === -1 ? url : url.slice(0, queryStart);
 
-      // Use _postman_previewlanguage if available
-      if (response._postman_previewlanguage) {
-        language = response._postman_previewlanguage;
+  return `${path.replace(/\/:([\w-]+)/g, (match, name) =>
+    values.has(name) ? `/${values.get(name)}` : match
+  )}${url.slice(path.length)}`;
+}
+
+// Remove the given (lowercase) parameter names from a URL query string
+function removeQueryParams(url, hiddenParams) {
+  const queryStart = url.indexOf("?");
+  if (hiddenParams.length === 0 || queryStart === -1) return url;
+
+  const query = url
+    .slice(queryStart + 1)
+    .split("&")
+    .filter((pair) => {
+      const key = pair.split("=")[0];
+      let name = key;
+      try {
+        name = decodeURIComponent(key);
+      } catch (e) {
+        // Keep the raw key when it is not valid percent-encoding
       }
+      return !hiddenParams.includes(name.toLowerCase());
+    })
+    .join("&");
 
-      endpointContent += `<div class="response-example">
-        ${
-          contentType !== "text/plain"
-            ? `<p><strong>${translations.contentType}:</strong> ${contentType}</p>`
-            : ""
-        }`;
-      if (response.body) {
-        // Format the response body based on content type
-        let formattedBody = response.body;
-
-        // Try to pretty-print JSON
-        if (language === "json") {
-          try {
-            const parsed = JSON.parse(response.body);
-            formattedBody = JSON.stringify(parsed, null, 2);
-          } catch (e) {
-            // Keep original if parsing fails
-            formattedBody = response.body;
-          }
-        }
+  return query
+    ? `${url.slice(0, queryStart)}?${query}`
+    : url.slice(0, queryStart);
+}
 
-        // Check if response is long (more than 10 lines)
-        const lineCount = formattedBody.split("\n").length;
-        const isLong = lineCount > 10;
+// Keep the items selected by the include/exclude patterns, hidden methods and
+// internal marker, dropping folders left empty
+function filterItems(items, filters, parentPath = [], parentIncluded = false) {
+  const filtered = [];
 
-        endpointContent += `<div class="response-body${
-          isLong ? " collapsed" : ""
-        }">
-          <pre><code class="language-${language}">${formattedBody}</code></pre>
-        </div>`;
+  (items || []).map(normalizeItem).forEach((item) => {
+    const itemPath = [...parentPath, item.name];
+    const path = itemPath.join("/");
 
-        if (isLong) {
-          endpointContent += `<button class="expand-button">${translations.showAll}</button>`;
-        }
+    if (filters.exclude.some((pattern) => pattern.test(path))) return;
+
+    // Items can opt out of the documentation with a marker in their description
+    const description =
+      getDescriptionContent(item.description) ||
+      getDescriptionContent(item.request && item.request.description);
+    if (
+      filters.internalMarker &&
+      description.includes(filters.internalMarker)
+    ) {
+      return;
+    }
+
+    const included =
+      parentIncluded ||
+      filters.include.length === 0 ||
+      filters.include.some((pattern) => pattern.test(path));
+
+    if (isFolder(item)) {
+      const children = filterItems(item.item, filters, itemPath, included);
+      if (children.length > 0) {
+        filtered.push({ ...item, item: children });
+      }
+    } else if (included) {
+      const method = (
+        (item.request && item.request.method) ||
+        "GET"
+      ).toUpperCase();
+      if (!filters.hideMethods.includes(method)) {
+        filtered.push(item);
       }
+    }
+  });
 
-      endpointContent += `</div>`;
-    });
+  return filtered;
+}
 
-    endpointContent += `</div>`;
+// Read the shapes the collection format allows in a single form: items
+// without a name get a default one, URL paths given as a string are split
+// into segments, { type, value } path segments become their value and v2.0
+// "Key: value" header strings become header entries
+function normalizeItem(item) {
+  const name =
+    item.name == null
+      ? isFolder(item)
+        ? DEFAULT_FOLDER_NAME
+        : DEFAULT_REQUEST_NAME
+      : String(item.name);
+  if (isFolder(item)) return { ...item, name };
+
+  const normalized = { ...item, name, request: normalizeRequest(item.request) };
+  if (Array.isArray(item.response)) {
+    normalized.response = item.response.map((response) =>
+      response && typeof response === "object"
+        ? {
+            ...response,
+            header: normalizeHeaders(response.header),
+            originalRequest: normalizeRequest(response.originalRequest),
+          }
+        : response
+    );
   }
+  return normalized;
+}
 
-  endpointContent += `</div>
-  </div>`;
+function normalizeRequest(request) {
+  if (!request || typeof request !== "object") return request;
 
-  return endpointContent;
+  const normalized = { ...request, header: normalizeHeaders(request.header) };
+  const { url } = request;
+  if (url && typeof url === "object" && typeof url.path === "string") {
+    normalized.url = { ...url, path: url.path.replace(/^\//, "").split("/") };
+  } else if (url && typeof url === "object" && Array.isArray(url.path)) {
+    normalized.url = {
+      ...url,
+      path: url.path.map((segment) =>
+        segment && typeof segment === "object" ? segment.value : segment
+      ),
+    };
+  }
+  return normalized;
+}
+
+function normalizeHeaders(headers) {
+  if (typeof headers === "string") return parseHeaderLines(headers);
+  if (!Array.isArray(headers)) return headers;
+  return headers.flatMap((header) =>
+    typeof header === "string" ? parseHeaderLines(header) : [header]
+  );
+}
+
+// Header entries of "Key: value" lines
+function parseHeaderLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => {
+      const separator = line.indexOf(":");
+      return separator === -1
+        ? null
+        : {
+            key: line.slice(0, separator).trim(),
+            value: line.slice(separator + 1).trim(),
+          };
+    })
+    .filter((header) => header && header.key);
+}
+
+// Convert a glob pattern on item paths ("Users/*", "Admin/**") to a RegExp:
+// "*" matches within a path segment, "**" across segments
+function globToRegExp(pattern) {
+  let source = "";
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "*" && pattern[i + 1] === "*") {
+      if (pattern[i + 2] === "/") {
+        source += "(?:.*/)?";
+        i += 2;
+      } else {
+        source += ".*";
+        i++;
+      }
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`, "i");
+}
+
+// Generation date, as a long date in the page language ("October 19, 2026")
+function formatDate(date, language) {
+  return new Intl.DateTimeFormat(language, { dateStyle: "long" }).format(date);
+}
+
+function getRawUrl(url) {
+  if (typeof url === "string") return url;
+  return (url && url.raw) || "";
 }
 
 function isFolder(item) {
   return item.item && Array.isArray(item.item);
 }
 
+function getItemMethod(item) {
+  const method =
+    item.request && typeof item.request === "object" && item.request.method;
+  return (method || "GET").toUpperCase();
+}
+
+// HTTP methods used by the requests of the collection, in filter order
+function getCollectionMethods(items) {
+  const methods = new Set();
+  const addMethods = (item) => {
+    if (isFolder(item)) {
+      item.item.forEach(addMethods);
+    } else {
+      methods.add(getItemMethod(item));
+    }
+  };
+  items.forEach(addMethods);
+
+  return [
+    ...METHOD_FILTER_ORDER.filter((method) => methods.has(method)),
+    ...[...methods].filter((method) => !METHOD_FILTER_ORDER.includes(method)),
+  ];
+}
+
+// Anchors of the folders and endpoints, also naming the pages of the
+// multi-page site. Items whose names give the same anchor get a -2, -3...
+// suffix in document order. Returns a Map from each item to its id.
+function getItemIds(items) {
+  const ids = new Map();
+  const usedIds = new Set();
+
+  const addIds = (item, parentPath) => {
+    const itemPath = [...parentPath, item.name];
+    const base = isFolder(item)
+      ? getFolderId(itemPath.join("-"))
+      : getEndpointId(parentPath, item.name);
+    let id = base;
+    for (let i = 2; usedIds.has(id); i++) {
+      id = `${base}-${i}`;
+    }
+    usedIds.add(id);
+    ids.set(item, id);
+
+    if (isFolder(item)) {
+      item.item.forEach((subItem) => addIds(subItem, itemPath));
+    }
+  };
+  items.forEach((item) => addIds(item, []));
+
+  return ids;
+}
+
 function getFolderId(folderPath) {
   if (typeof folderPath === "string") {
     return `folder-${slugify(folderPath)}`;
@@ -931,7 +4951,7 @@ function getFolderId(folderPath) {
 }
 
 function getEndpointId(parentPath, endpointName) {
-  if (Array.isArray(parentPath)) {
+  if (Array.isArray(parentPath) && parentPath.length > 0) {
     return `endpoint-${parentPath.map(slugify).join("-")}-${slugify(
       endpointName
     )}`;
@@ -943,31 +4963,144 @@ function getEndpointId(parentPath, endpointName) {
 }
 
 function slugify(text) {
-  return text
-    .toString()
-    .toLowerCase()
-    .replace(/\s+/g, "-")
-    .replace(/[^\w\-]+/g, "")
-    .replace(/\-\-+/g, "-")
-    .replace(/^-+/, "")
-    .replace(/-+$/, "");
+  return (
+    text
+      .toString()
+      .toLowerCase()
+      .replace(/\s+/g, "-")
+      // Letters of every script are kept, so that names in Arabic or Chinese
+      // give distinct anchors
+      .replace(/[^\p{L}\p{M}\p{N}_\-]+/gu, "")
+      .replace(/\-\-+/g, "-")
+      .replace(/^-+/, "")
+      .replace(/-+$/, "")
+  );
+}
+
+// Build the variable lookup from the collection variables and an optional
+// Postman environment (environment values take precedence, as in Postman)
+function buildVariables(collection, environment = null) {
+  const variables = new Map();
+
+  const addVariable = (variable) => {
+    if (!variable || !variable.key) return;
+    if (variable.disabled || variable.enabled === false) return;
+    variables.set(variable.key, {
+      value: variable.value == null ? "" : String(variable.value),
+      secret: variable.type === "secret",
+    });
+  };
+
+  (collection.variable || []).forEach(addVariable);
+  if (environment) {
+    environment.values.forEach(addVariable);
+  }
+
+  return variables;
 }
 
-function cleanPostmanVariables(text) {
+// Substitute Postman variables in the format {{VARIABLE_NAME}}, following
+// nested references. Secret and unknown variables are left untouched.
+function resolveVariables(text, variables) {
   if (typeof text !== "string") return text;
-  // Remove Postman variables in the format {{VARIABLE_NAME}}
-  return text.replace(/\{\{([^}]+)\}\}/g, "$1");
+
+  let resolved = text;
+  for (let depth = 0; depth < MAX_VARIABLE_DEPTH; depth++) {
+    const next = resolved.replace(VARIABLE_PATTERN, (match, name) => {
+      const variable = variables.get(name.trim());
+      return variable && !variable.secret ? variable.value : match;
+    });
+    if (next === resolved) break;
+    resolved = next;
+  }
+
+  return resolved;
 }
 
-function escapeHtml(text) {
-  return text
+// Whether a value is a single variable reference, such as {{token}}
+function isVariableReference(value) {
+  return typeof value === "string" && /^\{\{[^{}]+\}\}$/.test(value.trim());
+}
+
+// Resolve variables, escape the result and highlight the variables that
+// could not be inlined
+function renderVariables(text, context) {
+  if (typeof text !== "string") return text;
+  const { variables, translations } = context;
+
+  return escapeText(resolveVariables(text, variables)).replace(
+    VARIABLE_PATTERN,
+    (match, name) => {
+      const variable = variables.get(name.trim());
+      const isSecret = Boolean(variable && variable.secret);
+      return `<span class="variable${isSecret ? " secret" : ""}" title="${
+        isSecret ? translations.secretVariable : translations.unresolvedVariable
+      }">${match}</span>`;
+    }
+  );
+}
+
+// Escape text shown as HTML element content
+function escapeText(text) {
+  return String(text)
     .replace(/&/g, "&amp;")
     .replace(/</g, "&lt;")
     .replace(/>/g, "&gt;")
     .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#039;")
-    .replace(/\n/g, "<br>")
-    .replace(/\\n/g, "<br>");
+    .replace(/'/g, "&#039;");
+}
+
+// Escape text used as a double-quoted attribute value
+function escapeAttribute(text) {
+  return escapeText(text).replace(/\n/g, "&#10;");
+}
+
+// Code block, highlighted and with line numbers unless they are disabled.
+// renderText turns plain text into HTML (escapeCode by default).
+function renderCodeBlock(code, language, context, renderText = escapeCode) {
+  const html = context.highlight
+    ? highlightCode(code, language, renderText)
+    : renderText(code);
+  const lineCount = html.replace(/\n$/, "").split("\n").length;
+  const lineNumbers = context.lineNumbers && lineCount > 1;
+
+  return `<pre${lineNumbers ? ' class="line-numbers"' : ""}>${
+    lineNumbers
+      ? `<span class="line-numbers-rows" aria-hidden="true">${Array.from(
+          { length: lineCount },
+          (_, index) => index + 1
+        ).join("\n")}</span>`
+      : ""
+  }<code class="language-${escapeAttribute(language)}">${html}</code></pre>`;
+}
+
+// Escape text shown inside <pre><code> blocks
+function escapeCode(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Serialize a value into an inline <script> without letting it close the tag
+function serializeForScript(value) {
+  return JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+// Convert Markdown to HTML, keeping only allowlisted tags and attributes
+// unless raw HTML is explicitly trusted
+function renderMarkdown(markdown, context) {
+  const html = context.converter.makeHtml(markdown);
+  return context.allowRawHtml ? html : sanitizeHtml(html, SANITIZE_OPTIONS);
 }
 
-export { collectionToHTML };
+export {
+  collectionToHTML,
+  renderCollection,
+  loadCollection,
+  validateCollection,
+  getLanguages,
+};
@@ -0,0 +1,45 @@
+// Reading of the Postman collection format, shared by the renderers in
+// index.js and the OpenAPI export
+
+// Postman variable syntax: {{VARIABLE_NAME}}
+const VARIABLE_PATTERN = /\{\{([^{}]+)\}\}/g;
+
+// Content-Type sent by Postman for each raw body language
+const RAW_CONTENT_TYPES = {
+  json: "application/json",
+  xml: "application/xml",
+  html: "text/html",
+  javascript: "application/javascript",
+  text: "text/plain",
+};
+
+// Auth parameters are a key/value array in v2.1 and a plain object in v2.0
+function getAuthParams(auth) {
+  const params = auth[auth.type];
+
+  if (Array.isArray(params)) {
+    return Object.fromEntries(
+      params
+        .filter((param) => param && param.key)
+        .map((param) => [param.key, param.value])
+    );
+  }
+
+  return params && typeof params === "object" ? params : {};
+}
+
+// Descriptions are either a string or a { content, type } object
+function getDescriptionContent(description) {
+  if (typeof description === "string") return description;
+  if (description && typeof description.content === "string") {
+    return description.content;
+  }
+  return "";
+}
+
+export {
+  RAW_CONTENT_TYPES,
+  VARIABLE_PATTERN,
+  getAuthParams,
+  getDescriptionContent,
+};
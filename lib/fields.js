@@ -0,0 +1,136 @@
+// Field tables and JSON schemas inferred from JSON examples. The examples are
+// merged into one tree, so that a field missing from some of the examples, or
+// from some items of an array, is marked as optional.
+
+// Example values longer than this are cut
+const MAX_EXAMPLE_LENGTH = 60;
+
+function createNode() {
+  return {
+    // Number of values merged into the node, and how many were objects
+    count: 0,
+    objectCount: 0,
+    types: [],
+    example: undefined,
+    properties: new Map(),
+    items: null,
+  };
+}
+
+function getType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : "number";
+  }
+  return typeof value;
+}
+
+function addValue(node, value) {
+  const type = getType(value);
+  node.count += 1;
+  if (!node.types.includes(type)) node.types.push(type);
+
+  if (type === "object") {
+    node.objectCount += 1;
+    Object.entries(value).forEach(([key, entry]) => {
+      if (!node.properties.has(key)) node.properties.set(key, createNode());
+      addValue(node.properties.get(key), entry);
+    });
+  } else if (type === "array") {
+    // The items of all the arrays are merged
+    if (!node.items) node.items = createNode();
+    value.forEach((entry) => addValue(node.items, entry));
+  } else if (node.example === undefined && type !== "null") {
+    node.example = value;
+  }
+}
+
+// Type of a node, such as "string", "object[]" or "integer | null"
+function getTypeLabel(node) {
+  return node.types
+    .map((type) => {
+      if (type !== "array") return type;
+      const items =
+        node.items && node.items.count > 0 ? getTypeLabel(node.items) : "any";
+      return items.includes(" ") ? `(${items})[]` : `${items}[]`;
+    })
+    .join(" | ");
+}
+
+function formatExample(value) {
+  if (value === undefined) return null;
+  const text = JSON.stringify(value);
+  return text.length > MAX_EXAMPLE_LENGTH
+    ? `${text.slice(0, MAX_EXAMPLE_LENGTH - 1)}…`
+    : text;
+}
+
+// Fields of the objects of a node, and of the objects in its arrays
+function getChildren(node, path) {
+  const fields = [];
+
+  node.properties.forEach((child, key) => {
+    const childPath = path ? `${path}.${key}` : key;
+    fields.push({
+      name: key,
+      path: childPath,
+      type: getTypeLabel(child),
+      example: formatExample(child.example),
+      optional: child.count < node.objectCount,
+      children: getChildren(child, childPath),
+    });
+  });
+  if (node.items) {
+    fields.push(...getChildren(node.items, `${path}[]`));
+  }
+
+  return fields;
+}
+
+// JSON Schema of a node: a schema per type found, combined with anyOf
+// unless they are all scalar types
+function getSchema(node) {
+  const schemas = node.types.map((type) => {
+    if (type === "object") {
+      return {
+        type,
+        properties: Object.fromEntries(
+          [...node.properties].map(([key, child]) => [key, getSchema(child)])
+        ),
+      };
+    }
+    if (type === "array") {
+      return node.items && node.items.count > 0
+        ? { type, items: getSchema(node.items) }
+        : { type };
+    }
+    return { type };
+  });
+
+  if (schemas.length === 1) return schemas[0];
+  return schemas.every((schema) => Object.keys(schema).length === 1)
+    ? { type: schemas.map((schema) => schema.type) }
+    : { anyOf: schemas };
+}
+
+function mergeExamples(examples) {
+  const root = createNode();
+  examples.forEach((example) => addValue(root, example));
+  return root;
+}
+
+// Fields of parsed JSON examples, as a tree of { name, path, type, example,
+// optional, children }. example is the JSON of the first value that is not
+// an object, an array or null, or null.
+function inferFields(examples) {
+  return getChildren(mergeExamples(examples), "");
+}
+
+// JSON Schema of parsed JSON examples, with the fields of all the examples
+// and of all the items of their arrays
+function inferSchema(examples) {
+  return getSchema(mergeExamples(examples));
+}
+
+export { inferFields, inferSchema };
@@ -0,0 +1,190 @@
+// Syntax highlighting of the code blocks, done when the documentation is
+// generated so that the output needs no script or network access.
+//
+// Each language is a list of [type, pattern, innerRules] rules. At each
+// position the first sticky pattern that matches produces a token, wrapped
+// in <span class="hl-type"> when type is not null; innerRules, if given,
+// tokenize the text of that token again. Text matching no rule is kept as
+// is, so invalid or truncated input is still highlighted as far as possible.
+
+// Postman {{variables}} are kept in one piece, so that the caller can
+// render them as a whole
+const VARIABLE_RULE = [null, /\{\{[^{}\n]+\}\}/y];
+const WHITESPACE_RULE = [null, /\s+/y];
+const NUMBER_RULE = ["number", /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y];
+
+const JAVASCRIPT_KEYWORDS = [
+  "async",
+  "await",
+  "break",
+  "case",
+  "catch",
+  "class",
+  "const",
+  "continue",
+  "default",
+  "delete",
+  "do",
+  "else",
+  "export",
+  "extends",
+  "false",
+  "finally",
+  "for",
+  "from",
+  "function",
+  "if",
+  "import",
+  "in",
+  "instanceof",
+  "let",
+  "new",
+  "null",
+  "of",
+  "return",
+  "switch",
+  "this",
+  "throw",
+  "true",
+  "try",
+  "typeof",
+  "undefined",
+  "var",
+  "void",
+  "while",
+  "yield",
+];
+
+const XML_TAG_RULES = [
+  ["tag", /^<\/?[^\s/>]+/y],
+  ["attr-value", /"[^"]*"|'[^']*'|(?<==\s*)[^\s"'>]+/y],
+  ["attr-name", /[^\s=/>"']+/y],
+  ["tag", /\/?>$/y],
+  WHITESPACE_RULE,
+];
+
+const LANGUAGE_RULES = {
+  json: [
+    VARIABLE_RULE,
+    WHITESPACE_RULE,
+    // Postman accepts comments in JSON bodies
+    ["comment", /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ["property", /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y],
+    // Unterminated strings end with the line
+    ["string", /"(?:[^"\\\n]|\\.)*"?/y],
+    ["keyword", /\b(?:true|false|null)\b/y],
+    NUMBER_RULE,
+    ["punctuation", /[{}[\],:]/y],
+  ],
+  javascript: [
+    VARIABLE_RULE,
+    WHITESPACE_RULE,
+    ["comment", /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ["string", /"(?:[^"\\\n]|\\.)*"?|'(?:[^'\\\n]|\\.)*'?|`(?:[^`\\]|\\.)*`?/y],
+    ["keyword", new RegExp(`\\b(?:${JAVASCRIPT_KEYWORDS.join("|")})\\b`, "y")],
+    ["function", /[A-Za-z_$][\w$]*(?=\s*\()/y],
+    // Other identifiers in one piece, so that they hold no number token
+    [null, /[A-Za-z_$][\w$]*/y],
+    NUMBER_RULE,
+    ["punctuation", /[{}[\]();,.]/y],
+  ],
+  xml: [
+    VARIABLE_RULE,
+    WHITESPACE_RULE,
+    ["comment", /<!--[\s\S]*?(?:-->|$)/y],
+    ["string", /<!\[CDATA\[[\s\S]*?(?:\]\]>|$)/y],
+    ["meta", /<[!?][^>]*>?/y],
+    [
+      "tag-block",
+      /<\/?[^\s/>!?]+(?:\s+[^\s=/>"']+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*\s*\/?>/y,
+      XML_TAG_RULES,
+    ],
+    ["entity", /&#?\w+;/y],
+    // Text content up to the next tag, entity or variable
+    [null, /[^<&{\s]+/y],
+  ],
+  graphql: [
+    VARIABLE_RULE,
+    WHITESPACE_RULE,
+    ["comment", /#[^\n]*/y],
+    ["string", /"""[\s\S]*?(?:"""|$)|"(?:[^"\\\n]|\\.)*"?/y],
+    [
+      "keyword",
+      /\b(?:query|mutation|subscription|fragment|on|true|false|null|schema|type|input|enum|interface|union|scalar|extend|implements)\b/y,
+    ],
+    ["parameter", /\$[_A-Za-z]\w*/y],
+    ["meta", /@[_A-Za-z]\w*/y],
+    ["type", /\b[A-Z]\w*/y],
+    [null, /[_A-Za-z]\w*/y],
+    NUMBER_RULE,
+    ["punctuation", /[{}[\]()!:=|,]|\.\.\./y],
+  ],
+};
+
+const LANGUAGE_ALIASES = {
+  json: "json",
+  javascript: "javascript",
+  js: "javascript",
+  xml: "xml",
+  html: "xml",
+  graphql: "graphql",
+};
+
+function tokenize(code, rules) {
+  const tokens = [];
+  let plain = "";
+  let position = 0;
+
+  while (position < code.length) {
+    let token = null;
+
+    for (const [type, pattern, innerRules] of rules) {
+      pattern.lastIndex = position;
+      const match = pattern.exec(code);
+      if (match && match[0]) {
+        token = { type, text: match[0], innerRules };
+        break;
+      }
+    }
+
+    if (token && token.type !== null) {
+      if (plain) tokens.push({ type: null, text: plain });
+      plain = "";
+      tokens.push(token);
+      position += token.text.length;
+    } else {
+      const text = token ? token.text : code[position];
+      plain += text;
+      position += text.length;
+    }
+  }
+  if (plain) tokens.push({ type: null, text: plain });
+
+  return tokens;
+}
+
+function renderTokens(code, rules, renderText) {
+  return tokenize(code, rules)
+    .map(({ type, text, innerRules }) => {
+      const html = innerRules
+        ? renderTokens(text, innerRules, renderText)
+        : renderText(text);
+      return type && !innerRules
+        ? `<span class="hl-${type}">${html}</span>`
+        : html;
+    })
+    .join("");
+}
+
+// Highlight code in one of the supported languages and return the HTML.
+// renderText turns the text of each token into escaped HTML; code in other
+// languages is passed to it as a whole.
+function highlightCode(code, language, renderText) {
+  const rules =
+    LANGUAGE_RULES[LANGUAGE_ALIASES[String(language).toLowerCase()]];
+  return rules
+    ? renderTokens(String(code), rules, renderText)
+    : renderText(code);
+}
+
+export { highlightCode };
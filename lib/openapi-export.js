@@ -0,0 +1,628 @@
+// Output adapter turning a Postman collection into an OpenAPI 3.1 document:
+// folders become tags, requests become operations and response examples
+// become response examples, with schemas inferred from the example JSON.
+//
+// Variables are resolved with the `resolve` function provided by the caller.
+// Those left unresolved in the host become server variables, and those left
+// in the path become path parameters.
+
+import { STATUS_CODES } from "http";
+import {
+  RAW_CONTENT_TYPES,
+  VARIABLE_PATTERN,
+  getAuthParams,
+  getDescriptionContent,
+} from "./collection.js";
+import { inferSchema } from "./fields.js";
+
+// Described by the OpenAPI security schemes and request bodies instead
+const IGNORED_HEADERS = ["accept", "authorization", "content-type"];
+
+function collectionToOpenApi(collection, options = {}) {
+  const {
+    resolve = (text) => text,
+    hiddenQueryParams = [],
+    hiddenHeaders = [],
+  } = options;
+  const info = collection.info || {};
+
+  const spec = {
+    openapi: "3.1.0",
+    info: {
+      title: info.name || "API",
+      version: getVersion(info.version),
+    },
+  };
+  const description = getDescriptionContent(info.description);
+  if (description) {
+    spec.info.description = description;
+  }
+
+  const state = {
+    resolve,
+    hiddenQueryParams,
+    hiddenHeaders,
+    tags: [],
+    paths: {},
+    servers: [],
+    securitySchemes: {},
+    collectionSecurity: null,
+    operationIds: new Set(),
+    warnings: new Set(),
+  };
+
+  const auth =
+    collection.auth && collection.auth.type !== "inherit"
+      ? collection.auth
+      : null;
+  if (auth) {
+    state.collectionSecurity = getSecurity(auth, state);
+  }
+
+  (collection.item || []).forEach((item) => addItem(item, [], auth, state));
+
+  if (state.servers.length > 0) {
+    spec.servers = state.servers.map((server) => server.spec);
+  }
+  if (state.collectionSecurity) {
+    spec.security = state.collectionSecurity;
+  }
+  if (state.tags.length > 0) {
+    spec.tags = state.tags;
+  }
+  spec.paths = state.paths;
+  if (Object.keys(state.securitySchemes).length > 0) {
+    spec.components = { securitySchemes: state.securitySchemes };
+  }
+
+  return { spec, warnings: [...state.warnings] };
+}
+
+function addItem(item, folderPath, inheritedAuth, state) {
+  if (!item) return;
+
+  const auth =
+    item.auth && item.auth.type !== "inherit" ? item.auth : inheritedAuth;
+
+  // Folders become tags named after their path
+  if (Array.isArray(item.item)) {
+    const path = [...folderPath, item.name || ""];
+    const tag = { name: path.join(" / ") };
+    const description = getDescriptionContent(item.description);
+    if (description) {
+      tag.description = description;
+    }
+    state.tags.push(tag);
+    item.item.forEach((child) => addItem(child, path, auth, state));
+    return;
+  }
+
+  const request =
+    typeof item.request === "string"
+      ? { method: "GET", url: item.request }
+      : item.request || {};
+  const requestAuth =
+    request.auth && request.auth.type !== "inherit" ? request.auth : auth;
+  const method = (request.method || "GET").toLowerCase();
+  const url = parseUrl(request.url, state);
+
+  const pathItem = state.paths[url.path] || (state.paths[url.path] = {});
+  if (pathItem[method]) {
+    state.warnings.add(
+      `'${item.name}' was skipped: ${method.toUpperCase()} ${
+        url.path
+      } is already documented`
+    );
+    return;
+  }
+
+  const operation = {};
+  if (folderPath.length > 0) {
+    operation.tags = [folderPath.join(" / ")];
+  }
+  operation.summary = item.name || `${method.toUpperCase()} ${url.path}`;
+  operation.operationId = getOperationId(
+    [...folderPath, operation.summary],
+    state
+  );
+
+  const description = getDescriptionContent(
+    request.description || item.description
+  );
+  if (description) {
+    operation.description = description;
+  }
+
+  const parameters = [
+    ...getPathParameters(request.url, url, state),
+    ...getQueryParameters(request.url, url, state),
+    ...getHeaderParameters(request.header, state),
+  ];
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  const requestBody = getRequestBody(request, state);
+  if (requestBody) {
+    operation.requestBody = requestBody;
+  }
+
+  const responses = getResponses(item.response, state);
+  if (responses) {
+    operation.responses = responses;
+  }
+
+  // Only auth that differs from the collection's one is repeated
+  const security = requestAuth ? getSecurity(requestAuth, state) : null;
+  if (
+    security &&
+    JSON.stringify(security) !== JSON.stringify(state.collectionSecurity)
+  ) {
+    operation.security = security;
+  }
+
+  // Operations on another server than the main one list their own
+  if (url.server && state.servers[0] && url.server !== state.servers[0]) {
+    operation.servers = [url.server.spec];
+  }
+
+  pathItem[method] = operation;
+}
+
+// Split a request URL into its server and its OpenAPI path
+function parseUrl(url, state) {
+  const raw =
+    typeof url === "string" ? url : (url && url.raw) || buildRawUrl(url);
+  const [address] = raw.split(/[?#]/);
+  const match = address.match(
+    /^((?:[a-z][a-z0-9+.-]*:\/\/)?[^/]*)(\/.*)?$/i
+  ) || ["", "", ""];
+  // The host is resolved as a whole, so {{base_url}} = https://host/v1
+  // gives the https://host/v1 server
+  const host = state.resolve(match[1]).replace(/\/+$/, "");
+  const pathVariables = [];
+
+  const path = `/${state
+    .resolve(match[2] || "")
+    .split("/")
+    .filter(Boolean)
+    .map((segment) =>
+      segment
+        .replace(/^:(.+)$/, (m, name) => {
+          pathVariables.push(name);
+          return `{${name}}`;
+        })
+        .replace(VARIABLE_PATTERN, (m, name) => {
+          pathVariables.push(name.trim());
+          return `{${name.trim()}}`;
+        })
+    )
+    .join("/")}`;
+
+  return { server: host ? getServer(host, state) : null, path, pathVariables };
+}
+
+function buildRawUrl(url) {
+  if (!url) return "";
+  const host = Array.isArray(url.host) ? url.host.join(".") : url.host || "";
+  const path = Array.isArray(url.path) ? url.path.join("/") : url.path || "";
+  return `${url.protocol ? `${url.protocol}://` : ""}${host}${
+    path ? `/${path}` : ""
+  }`;
+}
+
+// Hosts are collected as servers, unresolved {{variables}} becoming server
+// variables
+function getServer(host, state) {
+  const existing = state.servers.find((server) => server.host === host);
+  if (existing) return existing;
+
+  const variables = {};
+  const serverUrl = host.replace(VARIABLE_PATTERN, (match, name) => {
+    variables[name.trim()] = { default: "" };
+    return `{${name.trim()}}`;
+  });
+  const spec = { url: serverUrl };
+  if (Object.keys(variables).length > 0) {
+    spec.variables = variables;
+  }
+
+  const server = { host, spec };
+  state.servers.push(server);
+  return server;
+}
+
+function getPathParameters(requestUrl, url, state) {
+  const documented = new Map(
+    (requestUrl && Array.isArray(requestUrl.variable)
+      ? requestUrl.variable
+      : []
+    )
+      .filter((variable) => variable && variable.key)
+      .map((variable) => [variable.key, variable])
+  );
+
+  return url.pathVariables.map((name) => {
+    const variable = documented.get(name) || {};
+    return buildParameter(name, "path", variable, state, true);
+  });
+}
+
+function getQueryParameters(requestUrl, url, state) {
+  let query = [];
+  if (requestUrl && Array.isArray(requestUrl.query)) {
+    query = requestUrl.query;
+  } else {
+    // String URLs carry their query parameters in the query string
+    const raw = typeof requestUrl === "string" ? requestUrl : "";
+    const queryString = raw.includes("?") ? raw.split("?")[1] : "";
+    query = queryString
+      .split("&")
+      .filter(Boolean)
+      .map((pair) => {
+        const [key, ...value] = pair.split("=");
+        return { key, value: value.join("=") };
+      });
+  }
+
+  return query
+    .filter(
+      (param) =>
+        param &&
+        param.key &&
+        !param.disabled &&
+        !state.hiddenQueryParams.includes(param.key.toLowerCase())
+    )
+    .map((param) => buildParameter(param.key, "query", param, state));
+}
+
+function getHeaderParameters(headers, state) {
+  if (!Array.isArray(headers)) return [];
+
+  return headers
+    .filter(
+      (header) =>
+        header &&
+        header.key &&
+        !header.disabled &&
+        !IGNORED_HEADERS.includes(header.key.toLowerCase()) &&
+        !state.hiddenHeaders.includes(header.key.toLowerCase())
+    )
+    .map((header) => buildParameter(header.key, "header", header, state));
+}
+
+function buildParameter(name, location, entry, state, required = false) {
+  const parameter = { name, in: location };
+  const description = getDescriptionContent(entry.description);
+  if (description) {
+    parameter.description = description;
+  }
+  if (required) {
+    parameter.required = true;
+  }
+
+  parameter.schema = { type: "string" };
+  const value = entry.value == null ? "" : state.resolve(String(entry.value));
+  if (value !== "" && !hasVariable(value)) {
+    parameter.example = value;
+  }
+
+  return parameter;
+}
+
+function getRequestBody(request, state) {
+  const { body } = request;
+  if (!body || !body.mode) return null;
+
+  if (body.mode === "raw") {
+    if (!body.raw) return null;
+    const raw = state.resolve(body.raw);
+    const language =
+      body.options && body.options.raw && body.options.raw.language;
+    const contentType =
+      getHeaderValue(request.header, "content-type") ||
+      RAW_CONTENT_TYPES[language] ||
+      (parseJson(raw) !== undefined ? "application/json" : "text/plain");
+    return { content: { [contentType]: getMediaType(raw, contentType) } };
+  }
+
+  if (body.mode === "urlencoded" || body.mode === "formdata") {
+    const fields = (
+      Array.isArray(body[body.mode]) ? body[body.mode] : []
+    ).filter((field) => field && field.key && !field.disabled);
+    const properties = {};
+    const example = {};
+
+    fields.forEach((field) => {
+      const property =
+        field.type === "file"
+          ? { type: "string", contentMediaType: "application/octet-stream" }
+          : { type: "string" };
+      const description = getDescriptionContent(field.description);
+      if (description) {
+        property.description = description;
+      }
+      properties[field.key] = property;
+      if (field.type !== "file" && field.value != null && field.value !== "") {
+        example[field.key] = state.resolve(String(field.value));
+      }
+    });
+
+    const contentType =
+      body.mode === "urlencoded"
+        ? "application/x-www-form-urlencoded"
+        : "multipart/form-data";
+    const media = { schema: { type: "object", properties } };
+    if (Object.keys(example).length > 0) {
+      media.example = example;
+    }
+    return { content: { [contentType]: media } };
+  }
+
+  if (body.mode === "graphql") {
+    const graphql = body.graphql || {};
+    const example = { query: state.resolve(graphql.query || "") };
+    const variables = parseJson(state.resolve(graphql.variables || ""));
+    if (variables !== undefined) {
+      example.variables = variables;
+    }
+    return {
+      content: {
+        "application/json": {
+          schema: inferSchema([example]),
+          example,
+        },
+      },
+    };
+  }
+
+  if (body.mode === "file" || body.mode === "binary") {
+    return {
+      content: {
+        "application/octet-stream": {
+          schema: {
+            type: "string",
+            contentMediaType: "application/octet-stream",
+          },
+        },
+      },
+    };
+  }
+
+  return null;
+}
+
+// Response examples are grouped by status code, each one becoming a named
+// example of its media type. The schema of a media type is inferred from all
+// its examples, so that fields found in only some of them are documented too
+function getResponses(responses, state) {
+  if (!Array.isArray(responses) || responses.length === 0) return null;
+
+  const result = {};
+  // Examples of each media type, in order to infer its schema
+  const mediaExamples = new Map();
+  responses.filter(Boolean).forEach((response, index) => {
+    const code = Number.isInteger(response.code)
+      ? String(response.code)
+      : "default";
+    const entry =
+      result[code] ||
+      (result[code] = {
+        description:
+          response.status ||
+          STATUS_CODES[response.code] ||
+          response.name ||
+          "Response",
+      });
+
+    const headers = (
+      Array.isArray(response.header) ? response.header : []
+    ).filter(
+      (header) =>
+        header && header.key && header.key.toLowerCase() !== "content-type"
+    );
+    if (headers.length > 0) {
+      entry.headers = entry.headers || {};
+      headers.forEach((header) => {
+        entry.headers[header.key] = {
+          schema: { type: "string" },
+          example: state.resolve(
+            String(header.value == null ? "" : header.value)
+          ),
+        };
+      });
+    }
+
+    if (response.body == null || response.body === "") return;
+
+    const body = state.resolve(response.body);
+    const contentType =
+      getHeaderValue(response.header, "content-type") ||
+      (response._postman_previewlanguage === "json" ||
+      parseJson(body) !== undefined
+        ? "application/json"
+        : "text/plain");
+    const media = getMediaType(body, contentType);
+
+    entry.content = entry.content || {};
+    const existing = entry.content[contentType];
+    const name = getExampleKey(response.name || `example-${index + 1}`);
+    if (existing) {
+      existing.examples = existing.examples || {};
+      existing.examples[name] = {
+        summary: response.name || name,
+        value: media.example,
+      };
+      mediaExamples.get(existing).push(media);
+    } else {
+      entry.content[contentType] = {
+        schema: media.schema,
+        examples: {
+          [name]: { summary: response.name || name, value: media.example },
+        },
+      };
+      mediaExamples.set(entry.content[contentType], [media]);
+    }
+  });
+
+  // Media types whose examples are not all JSON keep the schema of the first
+  mediaExamples.forEach((examples, content) => {
+    if (examples.length > 1 && examples.every((media) => media.json)) {
+      content.schema = inferSchema(examples.map((media) => media.example));
+    }
+  });
+
+  return result;
+}
+
+// JSON examples get an inferred schema, other media types a string schema
+function getMediaType(text, contentType) {
+  const json = contentType.includes("json") ? parseJson(text) : undefined;
+  if (json !== undefined) {
+    return { schema: inferSchema([json]), example: json, json: true };
+  }
+  return { schema: { type: "string" }, example: text };
+}
+
+// Security schemes are shared by all the operations using the same settings
+function getSecurity(auth, state) {
+  if (auth.type === "noauth") return [];
+
+  const scheme = getSecurityScheme(auth, state);
+  if (!scheme) {
+    state.warnings.add(
+      `'${auth.type}' authentication has no OpenAPI equivalent and was left out`
+    );
+    return null;
+  }
+
+  const signature = JSON.stringify(scheme.spec);
+  let name = Object.keys(state.securitySchemes).find(
+    (key) => JSON.stringify(state.securitySchemes[key]) === signature
+  );
+  if (!name) {
+    name = scheme.name;
+    for (let i = 2; state.securitySchemes[name]; i++) {
+      name = `${scheme.name}${i}`;
+    }
+    state.securitySchemes[name] = scheme.spec;
+  }
+
+  return [{ [name]: scheme.scopes || [] }];
+}
+
+function getSecurityScheme(auth, state) {
+  const params = getAuthParams(auth);
+
+  if (auth.type === "bearer") {
+    return { name: "bearerAuth", spec: { type: "http", scheme: "bearer" } };
+  }
+  if (auth.type === "basic" || auth.type === "digest") {
+    return {
+      name: `${auth.type}Auth`,
+      spec: { type: "http", scheme: auth.type },
+    };
+  }
+  if (auth.type === "apikey") {
+    return {
+      name: "apiKeyAuth",
+      spec: {
+        type: "apiKey",
+        name: state.resolve(params.key || "X-API-Key"),
+        in: params.in === "query" ? "query" : "header",
+      },
+    };
+  }
+  if (auth.type === "oauth2") {
+    const scopes = state
+      .resolve(params.scope || "")
+      .split(/\s+/)
+      .filter(Boolean);
+    const flow = {
+      scopes: Object.fromEntries(scopes.map((scope) => [scope, ""])),
+    };
+    const grantType = params.grant_type || "authorization_code";
+    const flowName =
+      {
+        authorization_code: "authorizationCode",
+        authorization_code_with_pkce: "authorizationCode",
+        implicit: "implicit",
+        password_credentials: "password",
+        client_credentials: "clientCredentials",
+      }[grantType] || "authorizationCode";
+
+    if (flowName === "authorizationCode" || flowName === "implicit") {
+      flow.authorizationUrl = state.resolve(params.authUrl || "");
+    }
+    if (flowName !== "implicit") {
+      flow.tokenUrl = state.resolve(params.accessTokenUrl || "");
+    }
+    return {
+      name: "oauth2Auth",
+      spec: { type: "oauth2", flows: { [flowName]: flow } },
+      scopes,
+    };
+  }
+
+  return null;
+}
+
+// Operation ids must be unique across the document
+function getOperationId(path, state) {
+  const base = path
+    .join(" ")
+    .replace(/[^a-zA-Z0-9]+(.)?/g, (match, char) =>
+      char ? char.toUpperCase() : ""
+    )
+    .replace(/^./, (char) => char.toLowerCase());
+
+  let id = base || "operation";
+  for (let i = 2; state.operationIds.has(id); i++) {
+    id = `${base}${i}`;
+  }
+  state.operationIds.add(id);
+  return id;
+}
+
+function getExampleKey(name) {
+  return (
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "example"
+  );
+}
+
+function getHeaderValue(headers, name) {
+  if (!Array.isArray(headers)) return null;
+  const header = headers.find(
+    (entry) =>
+      entry && !entry.disabled && entry.key && entry.key.toLowerCase() === name
+  );
+  return header && header.value ? header.value.split(";")[0].trim() : null;
+}
+
+// Postman's info.version is a string or a { major, minor, patch } object
+function getVersion(version) {
+  if (typeof version === "string" && version) return version;
+  if (version && typeof version === "object") {
+    return [version.major || 0, version.minor || 0, version.patch || 0].join(
+      "."
+    );
+  }
+  return "1.0.0";
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function hasVariable(text) {
+  return /\{\{[^{}]+\}\}/.test(text);
+}
+
+export { collectionToOpenApi };
@@ -0,0 +1,634 @@
+// Input adapter turning OpenAPI 3.x and Swagger 2.0 documents into Postman
+// v2.1 collections: tags become folders, operations become requests and
+// examples become response examples.
+
+import { STATUS_CODES } from "http";
+
+const HTTP_METHODS = [
+  "get",
+  "put",
+  "post",
+  "delete",
+  "options",
+  "head",
+  "patch",
+  "trace",
+];
+// Folder for operations without tags (same name as in Swagger UI)
+const DEFAULT_TAG = "default";
+// Recursive schemas are only expanded up to this depth in generated examples
+const MAX_SCHEMA_DEPTH = 8;
+
+function isOpenApiDocument(document) {
+  return (
+    typeof document === "object" &&
+    document !== null &&
+    (typeof document.openapi === "string" || document.swagger === "2.0")
+  );
+}
+
+function openApiToCollection(spec) {
+  const isSwagger = spec.swagger === "2.0";
+  const info = spec.info || {};
+  const folders = new Map();
+
+  // Declared tags come first, in their declared order
+  (spec.tags || []).forEach((tag) => {
+    if (tag && tag.name) {
+      folders.set(tag.name, {
+        name: tag.name,
+        description: tag.description || "",
+        item: [],
+      });
+    }
+  });
+
+  Object.entries(spec.paths || {}).forEach(([path, pathItem]) => {
+    const resolvedPathItem = resolveRef(spec, pathItem) || {};
+
+    HTTP_METHODS.forEach((method) => {
+      const operation = resolvedPathItem[method];
+      if (!operation) return;
+
+      const tag = (operation.tags && operation.tags[0]) || DEFAULT_TAG;
+      if (!folders.has(tag)) {
+        folders.set(tag, { name: tag, item: [] });
+      }
+
+      folders
+        .get(tag)
+        .item.push(
+          convertOperation(
+            spec,
+            path,
+            method,
+            operation,
+            resolvedPathItem.parameters || [],
+            isSwagger
+          )
+        );
+    });
+  });
+
+  const collection = {
+    info: {
+      name: info.title || "API",
+      description: [
+        info.description,
+        info.version && `Version: ${info.version}`,
+      ]
+        .filter(Boolean)
+        .join("\n\n"),
+      schema:
+        "https://schema.getpostman.com/json/collection/v2.1.0/collection.json",
+    },
+    item: [...folders.values()].filter((folder) => folder.item.length > 0),
+    variable: [{ key: "baseUrl", value: getBaseUrl(spec, isSwagger) }],
+  };
+
+  const auth = convertSecurity(spec, spec.security, isSwagger);
+  if (auth) {
+    collection.auth = auth;
+  }
+
+  return collection;
+}
+
+function convertOperation(
+  spec,
+  path,
+  method,
+  operation,
+  pathParameters,
+  isSwagger
+) {
+  // Operation parameters override the path-level ones with the same name
+  const parameters = new Map();
+  [...pathParameters, ...(operation.parameters || [])].forEach((parameter) => {
+    const resolved = resolveRef(spec, parameter);
+    if (resolved && resolved.name) {
+      parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+    }
+  });
+
+  const query = [];
+  const variables = [];
+  const headers = [];
+  const formFields = [];
+  let bodyParameter = null;
+
+  parameters.forEach((parameter) => {
+    const entry = {
+      key: parameter.name,
+      value: stringifyValue(getParameterExample(spec, parameter)),
+      description: describeParameter(parameter),
+    };
+
+    if (parameter.in === "query") {
+      query.push(entry);
+    } else if (parameter.in === "path") {
+      variables.push(entry);
+    } else if (parameter.in === "header") {
+      headers.push(entry);
+    } else if (parameter.in === "formData") {
+      formFields.push({
+        ...entry,
+        type: parameter.type === "file" ? "file" : "text",
+      });
+    } else if (parameter.in === "body") {
+      bodyParameter = parameter;
+    }
+  });
+
+  const pathSegments = path
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => segment.replace(/\{([^}]+)\}/g, ":$1"));
+  const queryString = query
+    .map((param) => `${param.key}=${param.value}`)
+    .join("&");
+
+  const request = {
+    method: method.toUpperCase(),
+    header: headers,
+    url: {
+      raw: `{{baseUrl}}/${pathSegments.join("/")}${
+        queryString ? `?${queryString}` : ""
+      }`,
+      host: ["{{baseUrl}}"],
+      path: pathSegments,
+      query,
+      variable: variables,
+    },
+  };
+
+  const body = isSwagger
+    ? convertSwaggerBody(spec, operation, bodyParameter, formFields)
+    : convertRequestBody(spec, resolveRef(spec, operation.requestBody));
+  if (body) {
+    request.body = body.body;
+    if (body.contentType) {
+      request.header.push({ key: "Content-Type", value: body.contentType });
+    }
+  }
+
+  if (operation.security !== undefined) {
+    request.auth = convertSecurity(spec, operation.security, isSwagger) || {
+      type: "noauth",
+    };
+  }
+
+  const item = {
+    name:
+      operation.summary ||
+      operation.operationId ||
+      `${method.toUpperCase()} ${path}`,
+    request,
+    response: convertResponses(spec, operation, isSwagger),
+  };
+
+  if (operation.description) {
+    item.description = operation.description;
+  }
+
+  return item;
+}
+
+// OpenAPI 3 request body: the first supported media type is documented
+function convertRequestBody(spec, requestBody) {
+  if (!requestBody || !requestBody.content) return null;
+
+  const mediaTypes = Object.keys(requestBody.content);
+  const contentType =
+    mediaTypes.find((type) => type.includes("json")) ||
+    mediaTypes.find((type) => type === "application/x-www-form-urlencoded") ||
+    mediaTypes.find((type) => type === "multipart/form-data") ||
+    mediaTypes[0];
+  if (!contentType) return null;
+
+  const media = requestBody.content[contentType] || {};
+  const schema = resolveRef(spec, media.schema);
+
+  if (
+    contentType === "application/x-www-form-urlencoded" ||
+    contentType === "multipart/form-data"
+  ) {
+    const mode =
+      contentType === "multipart/form-data" ? "formdata" : "urlencoded";
+    const properties = (schema && schema.properties) || {};
+    const required = (schema && schema.required) || [];
+
+    return {
+      contentType: mode === "urlencoded" ? contentType : null,
+      body: {
+        mode,
+        [mode]: Object.entries(properties).map(([key, property]) => {
+          const resolved = resolveRef(spec, property) || {};
+          const isFile = resolved.format === "binary";
+          return {
+            key,
+            value: isFile
+              ? undefined
+              : stringifyValue(sampleFromSchema(spec, resolved)),
+            type: isFile ? "file" : "text",
+            description: describeSchema(resolved, required.includes(key)),
+          };
+        }),
+      },
+    };
+  }
+
+  const example = getMediaExamples(spec, media)[0];
+  const value = example
+    ? example.value
+    : schema
+    ? sampleFromSchema(spec, schema)
+    : undefined;
+
+  return {
+    contentType,
+    body: {
+      mode: "raw",
+      raw: formatExample(value),
+      options: {
+        raw: { language: contentType.includes("json") ? "json" : "text" },
+      },
+    },
+  };
+}
+
+// Swagger 2 body: a single "body" parameter, or "formData" parameters
+function convertSwaggerBody(spec, operation, bodyParameter, formFields) {
+  const consumes = operation.consumes || spec.consumes || [];
+
+  if (formFields.length > 0) {
+    const isMultipart =
+      consumes.includes("multipart/form-data") ||
+      formFields.some((field) => field.type === "file");
+    return isMultipart
+      ? { contentType: null, body: { mode: "formdata", formdata: formFields } }
+      : {
+          contentType: "application/x-www-form-urlencoded",
+          body: {
+            mode: "urlencoded",
+            urlencoded: formFields.map(({ type, ...field }) => field),
+          },
+        };
+  }
+
+  if (!bodyParameter) return null;
+
+  const contentType =
+    consumes.find((type) => type.includes("json")) ||
+    consumes[0] ||
+    "application/json";
+  const schema = resolveRef(spec, bodyParameter.schema);
+
+  return {
+    contentType,
+    body: {
+      mode: "raw",
+      raw: formatExample(
+        bodyParameter["x-example"] !== undefined
+          ? bodyParameter["x-example"]
+          : sampleFromSchema(spec, schema)
+      ),
+      options: {
+        raw: { language: contentType.includes("json") ? "json" : "text" },
+      },
+    },
+  };
+}
+
+// One response example per documented example, or one generated from the
+// response schema
+function convertResponses(spec, operation, isSwagger) {
+  const responses = [];
+
+  Object.entries(operation.responses || {}).forEach(([code, response]) => {
+    const resolved = resolveRef(spec, response) || {};
+    const statusCode = /^\d{3}$/.test(code) ? Number(code) : undefined;
+    const baseName = resolved.description || code;
+    const examples = isSwagger
+      ? getSwaggerResponseExamples(spec, operation, resolved)
+      : getOpenApiResponseExamples(spec, resolved);
+
+    const responseHeaders = Object.entries(resolved.headers || {}).map(
+      ([key, header]) => {
+        const resolvedHeader = resolveRef(spec, header) || {};
+        return {
+          key,
+          value: stringifyValue(
+            getParameterExample(spec, { ...resolvedHeader, name: key })
+          ),
+          description: resolvedHeader.description || "",
+        };
+      }
+    );
+
+    if (examples.length === 0) {
+      examples.push({ contentType: null, value: undefined });
+    }
+
+    examples.forEach((example) => {
+      const header = [...responseHeaders];
+      if (example.contentType) {
+        header.unshift({ key: "Content-Type", value: example.contentType });
+      }
+
+      responses.push({
+        name: example.name ? `${baseName} (${example.name})` : baseName,
+        code: statusCode,
+        status: statusCode ? STATUS_CODES[statusCode] : undefined,
+        header,
+        body: example.value === undefined ? "" : formatExample(example.value),
+        _postman_previewlanguage:
+          example.contentType && example.contentType.includes("json")
+            ? "json"
+            : "text",
+      });
+    });
+  });
+
+  return responses;
+}
+
+function getOpenApiResponseExamples(spec, response) {
+  const examples = [];
+
+  Object.entries(response.content || {}).forEach(([contentType, media]) => {
+    const mediaExamples = getMediaExamples(spec, media || {});
+    if (mediaExamples.length > 0) {
+      mediaExamples.forEach((example) =>
+        examples.push({ ...example, contentType })
+      );
+    } else if (media && media.schema) {
+      examples.push({
+        contentType,
+        value: sampleFromSchema(spec, media.schema),
+      });
+    }
+  });
+
+  return examples;
+}
+
+function getSwaggerResponseExamples(spec, operation, response) {
+  const produces = operation.produces || spec.produces || [];
+  const examples = Object.entries(response.examples || {}).map(
+    ([contentType, value]) => ({ contentType, value })
+  );
+
+  if (examples.length === 0 && response.schema) {
+    examples.push({
+      contentType:
+        produces.find((type) => type.includes("json")) ||
+        produces[0] ||
+        "application/json",
+      value: sampleFromSchema(spec, response.schema),
+    });
+  }
+
+  return examples;
+}
+
+// OpenAPI 3 media types hold a single "example" or named "examples"
+function getMediaExamples(spec, media) {
+  if (media.example !== undefined) {
+    return [{ value: media.example }];
+  }
+
+  return Object.entries(media.examples || {})
+    .map(([name, example]) => {
+      const resolved = resolveRef(spec, example) || {};
+      return { name: resolved.summary || name, value: resolved.value };
+    })
+    .filter((example) => example.value !== undefined);
+}
+
+function getParameterExample(spec, parameter) {
+  if (parameter.example !== undefined) return parameter.example;
+  if (parameter["x-example"] !== undefined) return parameter["x-example"];
+
+  const examples = Object.values(parameter.examples || {});
+  if (examples.length > 0) {
+    const example = resolveRef(spec, examples[0]);
+    if (example && example.value !== undefined) return example.value;
+  }
+
+  // Swagger 2 describes non-body parameters with inline schema keywords
+  const schema = resolveRef(spec, parameter.schema) || parameter;
+  if (schema.default !== undefined) return schema.default;
+  if (schema.enum && schema.enum.length > 0) return schema.enum[0];
+  return "";
+}
+
+function describeParameter(parameter) {
+  return describeSchema(parameter, parameter.required);
+}
+
+function describeSchema(schema, required) {
+  return [required ? "**Required.**" : "", schema.description || ""]
+    .filter(Boolean)
+    .join(" ");
+}
+
+function convertSecurity(spec, security, isSwagger) {
+  if (!Array.isArray(security) || security.length === 0) return null;
+
+  const schemes = isSwagger
+    ? spec.securityDefinitions || {}
+    : (spec.components && spec.components.securitySchemes) || {};
+
+  // Postman requests have a single scheme: use the first supported one
+  for (const requirement of security) {
+    for (const [name, scopes] of Object.entries(requirement || {})) {
+      const auth = convertSecurityScheme(
+        resolveRef(spec, schemes[name]),
+        scopes
+      );
+      if (auth) return auth;
+    }
+  }
+
+  return null;
+}
+
+function convertSecurityScheme(scheme, scopes) {
+  if (!scheme) return null;
+
+  const type = (scheme.type || "").toLowerCase();
+  const httpScheme = (scheme.scheme || "").toLowerCase();
+
+  if (type === "basic" || (type === "http" && httpScheme === "basic")) {
+    return {
+      type: "basic",
+      basic: [
+        { key: "username", value: "{{username}}" },
+        { key: "password", value: "{{password}}" },
+      ],
+    };
+  }
+
+  if (type === "http" && httpScheme === "bearer") {
+    return {
+      type: "bearer",
+      bearer: [{ key: "token", value: "{{bearerToken}}" }],
+    };
+  }
+
+  if (type === "apikey") {
+    return {
+      type: "apikey",
+      apikey: [
+        { key: "key", value: scheme.name },
+        { key: "value", value: "{{apiKey}}" },
+        { key: "in", value: scheme.in === "query" ? "query" : "header" },
+      ],
+    };
+  }
+
+  if (type === "oauth2" || type === "openidconnect") {
+    // Swagger 2 describes a single flow, OpenAPI 3 a map of flows
+    const flow = scheme.flows ? Object.values(scheme.flows)[0] || {} : scheme;
+    const oauth2 = [
+      { key: "accessToken", value: "{{accessToken}}" },
+      { key: "addTokenTo", value: "header" },
+    ];
+    if (flow.authorizationUrl) {
+      oauth2.push({ key: "authUrl", value: flow.authorizationUrl });
+    }
+    if (flow.tokenUrl) {
+      oauth2.push({ key: "accessTokenUrl", value: flow.tokenUrl });
+    }
+    if (scheme.openIdConnectUrl) {
+      oauth2.push({ key: "authUrl", value: scheme.openIdConnectUrl });
+    }
+    if (Array.isArray(scopes) && scopes.length > 0) {
+      oauth2.push({ key: "scope", value: scopes.join(" ") });
+    }
+    return { type: "oauth2", oauth2 };
+  }
+
+  return null;
+}
+
+function getBaseUrl(spec, isSwagger) {
+  if (isSwagger) {
+    const scheme = (spec.schemes && spec.schemes[0]) || "https";
+    const host = spec.host || "localhost";
+    return `${scheme}://${host}${spec.basePath || ""}`.replace(/\/$/, "");
+  }
+
+  const server = (spec.servers && spec.servers[0]) || { url: "" };
+  // Server URLs can contain {variables} with default values
+  return (server.url || "")
+    .replace(/\{([^}]+)\}/g, (match, name) => {
+      const variable = server.variables && server.variables[name];
+      return variable && variable.default !== undefined
+        ? String(variable.default)
+        : match;
+    })
+    .replace(/\/$/, "");
+}
+
+// Generate an example value from a JSON schema. References already being
+// expanded are left out, so recursive schemas produce finite examples.
+function sampleFromSchema(spec, schema, depth = 0, expanding = []) {
+  if (schema && schema.$ref) {
+    if (expanding.includes(schema.$ref)) return undefined;
+    expanding = [...expanding, schema.$ref];
+  }
+  const resolved = resolveRef(spec, schema);
+  if (!resolved || depth > MAX_SCHEMA_DEPTH) return null;
+
+  if (resolved.example !== undefined) return resolved.example;
+  if (resolved.default !== undefined) return resolved.default;
+  if (resolved.enum && resolved.enum.length > 0) return resolved.enum[0];
+
+  if (resolved.allOf) {
+    return resolved.allOf.reduce((sample, part) => {
+      const partSample = sampleFromSchema(spec, part, depth + 1, expanding);
+      return isPlainObject(sample) && isPlainObject(partSample)
+        ? { ...sample, ...partSample }
+        : partSample;
+    }, {});
+  }
+  if (resolved.oneOf || resolved.anyOf) {
+    return sampleFromSchema(
+      spec,
+      (resolved.oneOf || resolved.anyOf)[0],
+      depth + 1,
+      expanding
+    );
+  }
+
+  const type = Array.isArray(resolved.type)
+    ? resolved.type.find((entry) => entry !== "null")
+    : resolved.type;
+
+  if (type === "object" || (!type && resolved.properties)) {
+    const sample = {};
+    Object.entries(resolved.properties || {}).forEach(([key, property]) => {
+      const value = sampleFromSchema(spec, property, depth + 1, expanding);
+      if (value !== undefined) {
+        sample[key] = value;
+      }
+    });
+    return sample;
+  }
+
+  if (type === "array") {
+    const item = resolved.items
+      ? sampleFromSchema(spec, resolved.items, depth + 1, expanding)
+      : undefined;
+    return item === undefined ? [] : [item];
+  }
+
+  if (type === "integer" || type === "number") return 0;
+  if (type === "boolean") return true;
+  if (type === "string") {
+    return (
+      {
+        "date-time": "2024-01-01T00:00:00Z",
+        date: "2024-01-01",
+        email: "user@example.com",
+        uuid: "00000000-0000-0000-0000-000000000000",
+        uri: "https://example.com",
+      }[resolved.format] || "string"
+    );
+  }
+
+  return null;
+}
+
+// Follow local "$ref" pointers such as "#/components/schemas/User"
+function resolveRef(spec, value, seen = new Set()) {
+  if (!value || typeof value.$ref !== "string") return value;
+  if (!value.$ref.startsWith("#/") || seen.has(value.$ref)) return null;
+  seen.add(value.$ref);
+
+  const target = value.$ref
+    .slice(2)
+    .split("/")
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, segment) => (node ? node[segment] : undefined), spec);
+
+  return resolveRef(spec, target, seen);
+}
+
+function formatExample(value) {
+  if (value === undefined) return "";
+  return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+}
+
+function stringifyValue(value) {
+  if (value === undefined || value === null) return "";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+export { isOpenApiDocument, openApiToCollection };
@@ -0,0 +1,369 @@
+import { SNIPPET_LANGUAGES } from "./snippets.js";
+
+// Options of collectionToHTML and renderCollection, also used to build the
+// command-line flags, the help text and the config file keys so that they
+// stay in sync. Each option has:
+// - name: the option name in the API and in config files
+// - type: "string", "boolean", "number", "list" (an array of strings, given
+//   comma-separated on the command line), "object" or "function"
+// - default: the value used when the option is not given
+// - description: the help text
+// - flag: the command-line flag, without dashes; options without a flag are
+//   only available in the API and config files
+// - alias: a one-letter command-line alias
+// - placeholder: the name of the value in the help text
+// - file: "text" or "json" when the command line and config files take the
+//   path of a file holding the value, fileLabel naming it in messages
+// - path: the value is a path, resolved from the directory of config files
+// - negate: the flag turns off an option that is on by default (--no-...)
+// - optionalValue: the flag may be given without a value, which stands for
+//   the default (--site, --serve)
+// - nullable: an empty command-line value stands for null
+// - cliOnly: the option only exists on the command line
+const OPTIONS = [
+  {
+    name: "outputFile",
+    flag: "output",
+    alias: "o",
+    type: "string",
+    default: null,
+    path: true,
+    placeholder: "file",
+    description:
+      "Output file or directory, or - for stdout (default: api-doc.html, site/, api-docs/ or openapi.yaml)",
+  },
+  {
+    name: "format",
+    flag: "format",
+    alias: "f",
+    type: "string",
+    default: "html",
+    placeholder: "format",
+    description:
+      "Output format: html, site (one page per folder and endpoint), markdown (a directory of .md files), or openapi for an OpenAPI 3.1 YAML file (JSON if the output ends with .json)",
+  },
+  {
+    name: "site",
+    flag: "site",
+    type: "string",
+    default: "site",
+    path: true,
+    optionalValue: true,
+    cliOnly: true,
+    placeholder: "dir",
+    description:
+      "Write a multi-page site to this directory (default: site), same as --format=site --output=dir",
+  },
+  {
+    name: "language",
+    flag: "lang",
+    alias: "l",
+    type: "string",
+    default: "en",
+    placeholder: "language",
+    description:
+      "Language for documentation, as a language tag such as fr or pt-BR (default: en)",
+  },
+  {
+    name: "translations",
+    flag: "translations",
+    type: "object",
+    default: null,
+    file: "json",
+    fileLabel: "translations",
+    placeholder: "file.json",
+    description:
+      "JSON file with translations, replacing the built-in ones key by key (the language defaults to the file name)",
+  },
+  {
+    name: "logo",
+    flag: "logo",
+    type: "string",
+    default: null,
+    file: "text",
+    fileLabel: "logo",
+    placeholder: "logo.svg",
+    description: "SVG logo file to embed",
+  },
+  {
+    name: "divider",
+    flag: "divider",
+    type: "string",
+    default: null,
+    placeholder: "h1-h6",
+    description: "Heading level to add border-bottom",
+  },
+  {
+    name: "environment",
+    flag: "env",
+    alias: "e",
+    type: "object",
+    default: null,
+    file: "json",
+    fileLabel: "environment",
+    placeholder: "env.json",
+    description: "Postman environment used to resolve {{variables}}",
+  },
+  {
+    name: "snippets",
+    flag: "snippets",
+    type: "list",
+    default: Object.keys(SNIPPET_LANGUAGES),
+    placeholder: "list",
+    description: `Code sample languages: ${Object.keys(SNIPPET_LANGUAGES).join(
+      ", "
+    )} (default: all, empty for none)`,
+  },
+  {
+    name: "allowRawHtml",
+    flag: "allow-raw-html",
+    type: "boolean",
+    default: false,
+    description:
+      "Keep raw HTML from Markdown descriptions (trusted collections only)",
+  },
+  {
+    name: "showDisabled",
+    flag: "show-disabled",
+    type: "boolean",
+    default: false,
+    description:
+      "List disabled parameters, headers and body fields with a badge",
+  },
+  {
+    name: "highlight",
+    flag: "no-highlight",
+    type: "boolean",
+    default: true,
+    negate: true,
+    description: "Leave code blocks without syntax highlighting",
+  },
+  {
+    name: "lineNumbers",
+    flag: "no-line-numbers",
+    type: "boolean",
+    default: true,
+    negate: true,
+    description: "Leave code blocks without line numbers",
+  },
+  {
+    name: "theme",
+    flag: "theme",
+    type: "string",
+    default: "light",
+    placeholder: "theme",
+    description:
+      "Color theme: light, dark or auto to follow the system (default: light)",
+  },
+  {
+    name: "themeConfig",
+    flag: "theme-config",
+    type: "object",
+    file: "json",
+    fileLabel: "theme config",
+    cliOnly: true,
+    placeholder: "file",
+    description: "JSON file with the theme, CSS variables and method colors",
+  },
+  {
+    name: "themeVariables",
+    type: "object",
+    default: {},
+    description: "Values of CSS custom properties, applied in every theme",
+  },
+  {
+    name: "methodColors",
+    type: "object",
+    default: {},
+    description: "Badge colors of HTTP methods",
+  },
+  {
+    name: "customCss",
+    flag: "css",
+    type: "string",
+    default: null,
+    file: "text",
+    fileLabel: "CSS",
+    placeholder: "custom.css",
+    description: "CSS file appended to the built-in styles",
+  },
+  {
+    name: "templates",
+    type: "object",
+    default: {},
+    description: "Functions replacing parts of the HTML",
+  },
+  {
+    name: "hooks",
+    type: "object",
+    default: {},
+    description: "Functions adding HTML around each endpoint",
+  },
+  {
+    name: "fieldTables",
+    flag: "no-field-tables",
+    type: "boolean",
+    default: true,
+    negate: true,
+    description:
+      "Leave out the field tables inferred from JSON bodies and responses",
+  },
+  {
+    name: "showScripts",
+    flag: "show-scripts",
+    type: "boolean",
+    default: false,
+    description:
+      "Show pre-request and test scripts, with the test names as expected behavior",
+  },
+  {
+    name: "print",
+    flag: "print",
+    type: "boolean",
+    default: false,
+    description:
+      "Print/PDF layout: numbered contents page, expanded examples and a page per folder",
+  },
+  {
+    name: "tryIt",
+    flag: "try-it",
+    type: "boolean",
+    default: false,
+    description:
+      "Add a Try it panel to each endpoint, sending the request from the browser",
+  },
+  {
+    name: "watch",
+    flag: "watch",
+    alias: "w",
+    type: "boolean",
+    cliOnly: true,
+    description:
+      "Regenerate when the collection, logo, environment or CSS file changes",
+  },
+  {
+    name: "serve",
+    flag: "serve",
+    type: "number",
+    default: 3000,
+    optionalValue: true,
+    cliOnly: true,
+    placeholder: "port",
+    description:
+      "Serve the output on localhost with live reload, implies --watch (default port: 3000)",
+  },
+  {
+    name: "include",
+    flag: "include",
+    type: "list",
+    default: [],
+    placeholder: "globs",
+    description:
+      "Only document folders/requests matching these paths, e.g. Users/**",
+  },
+  {
+    name: "exclude",
+    flag: "exclude",
+    type: "list",
+    default: [],
+    placeholder: "globs",
+    description: "Skip folders/requests matching these paths, e.g. Admin/*",
+  },
+  {
+    name: "hideMethods",
+    flag: "hide-methods",
+    type: "list",
+    default: [],
+    placeholder: "list",
+    description: "Skip requests using these HTTP methods, e.g. DELETE,PATCH",
+  },
+  {
+    name: "internalMarker",
+    flag: "internal-marker",
+    type: "string",
+    default: "@internal",
+    nullable: true,
+    placeholder: "text",
+    description:
+      "Skip items whose description contains this marker (default: @internal, empty to disable)",
+  },
+  {
+    name: "hiddenQueryParams",
+    flag: "hide-query-params",
+    type: "list",
+    default: [],
+    placeholder: "list",
+    description: "Query parameters left out of the documentation",
+  },
+  {
+    name: "hiddenHeaders",
+    flag: "hide-headers",
+    type: "list",
+    default: [],
+    placeholder: "list",
+    description: "Headers left out of the documentation",
+  },
+  {
+    name: "strict",
+    flag: "strict",
+    type: "boolean",
+    default: false,
+    description: "Fail on collection warnings, not only on errors",
+  },
+  {
+    name: "onWarning",
+    type: "function",
+    default: null,
+    description:
+      "Function called with the message of each warning, which are otherwise dropped",
+  },
+  {
+    name: "config",
+    flag: "config",
+    alias: "c",
+    type: "string",
+    cliOnly: true,
+    placeholder: "file",
+    description:
+      "Config file (default: postman-to-html.config.json, or the postman-to-html key of package.json)",
+  },
+  {
+    name: "help",
+    flag: "help",
+    alias: "h",
+    type: "boolean",
+    cliOnly: true,
+    description: "Show this help",
+  },
+  {
+    name: "version",
+    flag: "version",
+    alias: "v",
+    type: "boolean",
+    cliOnly: true,
+    description: "Show the version number",
+  },
+];
+
+// Output file or directory of each format, when none is given
+const DEFAULT_OUTPUT_FILES = {
+  html: "api-doc.html",
+  site: "site",
+  markdown: "api-docs",
+  openapi: "openapi.yaml",
+  "openapi-json": "openapi.json",
+};
+
+// Values of the API options, with the defaults of the options not given
+function applyDefaults(options) {
+  const values = {};
+  OPTIONS.filter((option) => !option.cliOnly).forEach((option) => {
+    values[option.name] =
+      options[option.name] === undefined
+        ? structuredClone(option.default)
+        : options[option.name];
+  });
+  return values;
+}
+
+export { DEFAULT_OUTPUT_FILES, OPTIONS, applyDefaults };
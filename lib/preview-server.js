@@ -0,0 +1,177 @@
+import fs from "fs";
+import http from "http";
+import { extname, join, resolve, sep } from "path";
+
+// Local preview of the generated documentation. HTML pages are served with
+// a script that listens to server-sent events: "reload" reloads the page
+// and "build-error" shows the message in an overlay, until the next reload.
+
+const LIVE_RELOAD_PATH = "/__live-reload";
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".yaml": "text/yaml; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".ico": "image/x-icon",
+};
+
+const LIVE_RELOAD_SCRIPT = `<script>
+    // Live reload of the preview server
+    (function() {
+        const source = new EventSource(${JSON.stringify(LIVE_RELOAD_PATH)});
+        source.addEventListener('reload', function() {
+            location.reload();
+        });
+        source.addEventListener('build-error', function(event) {
+            let overlay = document.getElementById('live-reload-error');
+            if (!overlay) {
+                overlay = document.createElement('div');
+                overlay.id = 'live-reload-error';
+                overlay.setAttribute('role', 'alert');
+                overlay.style.cssText = 'position:fixed;inset:0;z-index:10000;overflow:auto;padding:40px;background:rgba(0,0,0,0.85);color:#fff;font-family:monospace';
+                const title = document.createElement('h2');
+                title.textContent = 'Documentation could not be generated';
+                title.style.cssText = 'color:#ff6b6b;margin:0 0 20px';
+                const message = document.createElement('pre');
+                message.style.cssText = 'white-space:pre-wrap;background:none;border:none;color:inherit';
+                const close = document.createElement('button');
+                close.textContent = 'Dismiss';
+                close.addEventListener('click', function() { overlay.remove(); });
+                overlay.append(title, message, close);
+                document.body.appendChild(overlay);
+            }
+            overlay.querySelector('pre').textContent = JSON.parse(event.data).message;
+        });
+    })();
+</script>`;
+
+const NOT_FOUND_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Not found</title>
+</head>
+<body>
+    <p>This page has not been generated (yet). It reloads once the documentation is generated.</p>
+</body>
+</html>`;
+
+// Serve the files of the root directory on localhost; index is the file
+// served for "/". Resolves once listening, to an object with the url and
+// the reload, showError and close functions.
+function startPreviewServer({ root, index = "index.html", port = 3000 }) {
+  const rootDirectory = resolve(root);
+  const clients = new Set();
+  let lastError = null;
+
+  const send = (client, event, data) => {
+    client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const server = http.createServer((request, response) => {
+    const { pathname } = new URL(request.url, "http://localhost");
+
+    if (pathname === LIVE_RELOAD_PATH) {
+      response.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-store",
+        Connection: "keep-alive",
+      });
+      response.write("\n");
+      clients.add(response);
+      request.on("close", () => clients.delete(response));
+      // Pages opened while the documentation is broken show the error too
+      if (lastError !== null) {
+        send(response, "build-error", { message: lastError });
+      }
+      return;
+    }
+
+    let filePath;
+    try {
+      filePath = resolve(
+        rootDirectory,
+        `.${pathname === "/" ? `/${index}` : decodeURIComponent(pathname)}`
+      );
+    } catch (error) {
+      filePath = null;
+    }
+    // Keep requests inside the root directory
+    if (
+      !filePath ||
+      (filePath !== rootDirectory && !filePath.startsWith(rootDirectory + sep))
+    ) {
+      response.writeHead(403).end("Forbidden");
+      return;
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      filePath = join(filePath, "index.html");
+    }
+
+    fs.readFile(filePath, (error, content) => {
+      const extension = extname(filePath).toLowerCase();
+      // Pages missing because the first generation failed still get the
+      // live reload script, to show the error and reload once it is fixed
+      if (error && (extension === ".html" || extension === "")) {
+        response.writeHead(404, {
+          "Content-Type": CONTENT_TYPES[".html"],
+          "Cache-Control": "no-store",
+        });
+        response.end(`${NOT_FOUND_PAGE}\n${LIVE_RELOAD_SCRIPT}\n`);
+        return;
+      }
+      if (error) {
+        response.writeHead(404, { "Content-Type": "text/plain" });
+        response.end("Not found");
+        return;
+      }
+
+      let body = content;
+      if (extension === ".html") {
+        const html = content.toString("utf8");
+        const end = html.lastIndexOf("</body>");
+        body =
+          end === -1
+            ? `${html}\n${LIVE_RELOAD_SCRIPT}`
+            : `${html.slice(0, end)}${LIVE_RELOAD_SCRIPT}\n${html.slice(end)}`;
+      }
+      response.writeHead(200, {
+        "Content-Type": CONTENT_TYPES[extension] || "application/octet-stream",
+        "Cache-Control": "no-store",
+      });
+      response.end(body);
+    });
+  });
+
+  return new Promise((resolvePromise, reject) => {
+    server.once("error", reject);
+    server.listen(port, "127.0.0.1", () => {
+      server.off("error", reject);
+      resolvePromise({
+        url: `http://localhost:${server.address().port}/`,
+        reload() {
+          lastError = null;
+          clients.forEach((client) => send(client, "reload", {}));
+        },
+        showError(message) {
+          lastError = String(message);
+          clients.forEach((client) =>
+            send(client, "build-error", { message: lastError })
+          );
+        },
+        close() {
+          clients.forEach((client) => client.end());
+          return new Promise((done) => server.close(done));
+        },
+      });
+    });
+  });
+}
+
+export { startPreviewServer };
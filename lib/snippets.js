@@ -0,0 +1,334 @@
+// Code sample generators. Each one receives a plain sample request:
+// {
+//   method: "POST",
+//   url: "https://api.example.com/users",
+//   headers: [["Content-Type", "application/json"]],
+//   auth: null | { type: "basic" | "digest", username, password },
+//   body: null
+//     | { mode: "raw", raw, json }  (json is the parsed body, if valid JSON)
+//     | { mode: "urlencoded", fields: [[key, value]] }
+//     | { mode: "formdata", fields: [{ key, value, file, src }] }
+//     | { mode: "file", src }
+// }
+
+const PYTHON_METHODS = [
+  "get",
+  "post",
+  "put",
+  "patch",
+  "delete",
+  "head",
+  "options",
+];
+
+function generateCurl(sample) {
+  const lines = [
+    `curl${sample.method !== "GET" ? ` -X ${sample.method}` : ""} ${shellQuote(
+      sample.url
+    )}`,
+  ];
+
+  sample.headers.forEach(([key, value]) => {
+    lines.push(`-H ${shellQuote(`${key}: ${value}`)}`);
+  });
+
+  if (sample.auth) {
+    if (sample.auth.type === "digest") {
+      lines.push("--digest");
+    }
+    lines.push(
+      `-u ${shellQuote(`${sample.auth.username}:${sample.auth.password}`)}`
+    );
+  }
+
+  const { body } = sample;
+  if (body && body.mode === "raw") {
+    lines.push(`--data-raw ${shellQuote(body.raw)}`);
+  } else if (body && body.mode === "urlencoded") {
+    body.fields.forEach(([key, value]) => {
+      lines.push(`--data-urlencode ${shellQuote(`${key}=${value}`)}`);
+    });
+  } else if (body && body.mode === "file") {
+    lines.push(`--data-binary ${shellQuote(`@${body.src}`)}`);
+  } else if (body && body.mode === "formdata") {
+    body.fields.forEach((field) => {
+      lines.push(
+        `-F ${shellQuote(
+          field.file
+            ? `${field.key}=@${field.src}`
+            : `${field.key}=${field.value}`
+        )}`
+      );
+    });
+  }
+
+  return lines.join(" \\\n  ");
+}
+
+function generateFetch(sample) {
+  let prelude = "";
+  const options = [`  method: ${JSON.stringify(sample.method)},`];
+  const headers = sample.headers.map(([key, value]) => [
+    JSON.stringify(key),
+    JSON.stringify(value),
+  ]);
+
+  if (sample.auth && sample.auth.type === "basic") {
+    headers.push([
+      '"Authorization"',
+      `"Basic " + btoa(${JSON.stringify(
+        `${sample.auth.username}:${sample.auth.password}`
+      )})`,
+    ]);
+  } else if (sample.auth) {
+    prelude += `// ${sample.auth.type} authentication must be handled by your HTTP client\n`;
+  }
+
+  if (headers.length > 0) {
+    options.push(
+      `  headers: {\n${headers
+        .map(([key, value]) => `    ${key}: ${value},`)
+        .join("\n")}\n  },`
+    );
+  }
+
+  const { body } = sample;
+  if (body && body.mode === "raw") {
+    options.push(
+      body.json !== undefined
+        ? `  body: JSON.stringify(${indentLines(
+            JSON.stringify(body.json, null, 2),
+            "  "
+          )}),`
+        : `  body: ${JSON.stringify(body.raw)},`
+    );
+  } else if (body && body.mode === "urlencoded") {
+    options.push(
+      `  body: new URLSearchParams([\n${body.fields
+        .map(
+          ([key, value]) =>
+            `    [${JSON.stringify(key)}, ${JSON.stringify(value)}],`
+        )
+        .join("\n")}\n  ]),`
+    );
+  } else if (body && body.mode === "formdata") {
+    prelude += "const formData = new FormData();\n";
+    body.fields.forEach((field) => {
+      prelude += field.file
+        ? `formData.append(${JSON.stringify(
+            field.key
+          )}, fileInput.files[0]); // ${field.src}\n`
+        : `formData.append(${JSON.stringify(field.key)}, ${JSON.stringify(
+            field.value
+          )});\n`;
+    });
+    prelude += "\n";
+    options.push("  body: formData,");
+  } else if (body && body.mode === "file") {
+    options.push(`  body: fileInput.files[0], // ${body.src}`);
+  }
+
+  return `${prelude}const response = await fetch(${JSON.stringify(
+    sample.url
+  )}, {\n${options.join(
+    "\n"
+  )}\n});\n\nconsole.log(response.status, await response.text());`;
+}
+
+function generatePython(sample) {
+  const imports = ["import requests"];
+  const method = sample.method.toLowerCase();
+  const args = [];
+
+  let call = `requests.${method}`;
+  if (!PYTHON_METHODS.includes(method)) {
+    call = "requests.request";
+    args.push(`    ${JSON.stringify(sample.method)},`);
+  }
+  args.push(`    ${JSON.stringify(sample.url)},`);
+
+  if (sample.headers.length > 0) {
+    args.push(
+      `    headers={\n${sample.headers
+        .map(
+          ([key, value]) =>
+            `        ${JSON.stringify(key)}: ${JSON.stringify(value)},`
+        )
+        .join("\n")}\n    },`
+    );
+  }
+
+  if (sample.auth) {
+    const credentials = `${JSON.stringify(
+      sample.auth.username
+    )}, ${JSON.stringify(sample.auth.password)}`;
+    if (sample.auth.type === "digest") {
+      imports.push("from requests.auth import HTTPDigestAuth");
+      args.push(`    auth=HTTPDigestAuth(${credentials}),`);
+    } else {
+      args.push(`    auth=(${credentials}),`);
+    }
+  }
+
+  const { body } = sample;
+  if (body && body.mode === "raw") {
+    args.push(
+      body.json !== undefined
+        ? `    json=${toPython(body.json, 1)},`
+        : `    data=${JSON.stringify(body.raw)},`
+    );
+  } else if (body && body.mode === "file") {
+    args.push(`    data=open(${JSON.stringify(body.src)}, "rb"),`);
+  } else if (body && body.mode === "urlencoded") {
+    args.push(`    data=${toPythonPairs(body.fields)},`);
+  } else if (body && body.mode === "formdata") {
+    const fields = body.fields.filter((field) => !field.file);
+    const files = body.fields.filter((field) => field.file);
+    if (fields.length > 0) {
+      args.push(
+        `    data=${toPythonPairs(
+          fields.map((field) => [field.key, field.value])
+        )},`
+      );
+    }
+    if (files.length > 0) {
+      args.push(
+        `    files=[\n${files
+          .map(
+            (field) =>
+              `        (${JSON.stringify(field.key)}, open(${JSON.stringify(
+                field.src
+              )}, "rb")),`
+          )
+          .join("\n")}\n    ],`
+      );
+    }
+  }
+
+  return `${imports.join("\n")}\n\nresponse = ${call}(\n${args.join(
+    "\n"
+  )}\n)\n\nprint(response.status_code)\nprint(response.text)`;
+}
+
+function generateHttpie(sample) {
+  const flags = [];
+  const items = [];
+  const { body } = sample;
+
+  if (body && body.mode === "urlencoded") {
+    flags.push("--form");
+  } else if (body && body.mode === "formdata") {
+    flags.push("--multipart");
+  }
+
+  if (sample.auth) {
+    if (sample.auth.type === "digest") {
+      flags.push("-A digest");
+    }
+    flags.push(
+      `-a ${shellQuote(`${sample.auth.username}:${sample.auth.password}`)}`
+    );
+  }
+
+  sample.headers.forEach(([key, value]) => {
+    items.push(shellQuote(`${key}:${value}`));
+  });
+
+  if (body && body.mode === "raw") {
+    flags.push(`--raw ${shellQuote(body.raw)}`);
+  } else if (body && body.mode === "file") {
+    items.push(shellQuote(`@${body.src}`));
+  } else if (body && body.mode === "urlencoded") {
+    body.fields.forEach(([key, value]) => {
+      items.push(shellQuote(`${key}=${value}`));
+    });
+  } else if (body && body.mode === "formdata") {
+    body.fields.forEach((field) => {
+      items.push(
+        shellQuote(
+          field.file
+            ? `${field.key}@${field.src}`
+            : `${field.key}=${field.value}`
+        )
+      );
+    });
+  }
+
+  return [
+    ["http", ...flags, sample.method, shellQuote(sample.url)].join(" "),
+    ...items,
+  ].join(" \\\n  ");
+}
+
+// Available languages, in display order
+const SNIPPET_LANGUAGES = {
+  curl: { label: "cURL", language: "bash", generate: generateCurl },
+  fetch: {
+    label: "JavaScript (fetch)",
+    language: "javascript",
+    generate: generateFetch,
+  },
+  python: {
+    label: "Python (requests)",
+    language: "python",
+    generate: generatePython,
+  },
+  httpie: { label: "HTTPie", language: "bash", generate: generateHttpie },
+};
+
+function generateSnippet(language, sample) {
+  const snippetLanguage = SNIPPET_LANGUAGES[language];
+  if (!snippetLanguage) {
+    throw new Error(`Unknown code sample language: ${language}`);
+  }
+  return snippetLanguage.generate(sample);
+}
+
+function shellQuote(text) {
+  return `'${String(text).replace(/'/g, "'\\''")}'`;
+}
+
+function indentLines(text, indent) {
+  return text.replace(/\n/g, `\n${indent}`);
+}
+
+// Convert a parsed JSON value to a Python literal
+function toPython(value, level = 0) {
+  const indent = "    ".repeat(level + 1);
+  const closingIndent = "    ".repeat(level);
+
+  if (value === null) return "None";
+  if (value === true) return "True";
+  if (value === false) return "False";
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    return `[\n${value
+      .map((entry) => `${indent}${toPython(entry, level + 1)},`)
+      .join("\n")}\n${closingIndent}]`;
+  }
+
+  if (typeof value === "object") {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return "{}";
+    return `{\n${entries
+      .map(
+        ([key, entry]) =>
+          `${indent}${JSON.stringify(key)}: ${toPython(entry, level + 1)},`
+      )
+      .join("\n")}\n${closingIndent}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function toPythonPairs(pairs) {
+  return `[\n${pairs
+    .map(
+      ([key, value]) =>
+        `        (${JSON.stringify(key)}, ${JSON.stringify(value)}),`
+    )
+    .join("\n")}\n    ]`;
+}
+
+export { SNIPPET_LANGUAGES, generateSnippet };
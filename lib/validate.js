@@ -0,0 +1,316 @@
+// Structural validation of Postman collections against the v2.0 and v2.1
+// formats. Each problem is reported with the JSON path where it was found,
+// e.g. { path: "item[3].item[0].request.url", message: "expected string or object" }.
+// Errors prevent rendering, warnings describe content that is ignored or
+// rendered on a best-effort basis.
+
+const SCHEMA_PATTERN = /\/v2\.[01]\.\d+\/collection\.json$/;
+const BODY_MODES = [
+  "raw",
+  "urlencoded",
+  "formdata",
+  "file",
+  "binary",
+  "graphql",
+];
+const AUTH_TYPES = [
+  "noauth",
+  "inherit",
+  "apikey",
+  "awsv4",
+  "basic",
+  "bearer",
+  "digest",
+  "edgegrid",
+  "hawk",
+  "oauth1",
+  "oauth2",
+  "ntlm",
+  "jwt",
+  "asap",
+  "akamai",
+];
+
+function validateCollection(collection) {
+  const report = { errors: [], warnings: [] };
+  const error = (path, message) => report.errors.push({ path, message });
+  const warn = (path, message) => report.warnings.push({ path, message });
+
+  if (!isObject(collection)) {
+    error("", "expected a collection object");
+    return report;
+  }
+
+  // Legacy v1 collections have top-level "requests" and "folders" arrays
+  if (
+    !collection.info &&
+    (Array.isArray(collection.requests) || Array.isArray(collection.folders))
+  ) {
+    error(
+      "",
+      "legacy Postman v1 collections are not supported, export the collection as v2.1 from Postman (Export > Collection v2.1)"
+    );
+    return report;
+  }
+
+  const check = { error, warn };
+
+  if (collection.info === undefined) {
+    error("info", "required property is missing");
+  } else if (!isObject(collection.info)) {
+    error("info", "expected object");
+  } else {
+    const { info } = collection;
+    if (typeof info.name !== "string") {
+      error("info.name", "expected string");
+    }
+    if (info.schema === undefined) {
+      warn("info.schema", "missing schema URL, assuming v2.1");
+    } else if (
+      typeof info.schema !== "string" ||
+      !SCHEMA_PATTERN.test(info.schema)
+    ) {
+      warn(
+        "info.schema",
+        `unsupported schema '${info.schema}', expected collection v2.0 or v2.1`
+      );
+    }
+    validateDescription(info.description, "info.description", check);
+  }
+
+  if (collection.item === undefined) {
+    error("item", "required property is missing");
+  } else if (!Array.isArray(collection.item)) {
+    error("item", "expected array");
+  } else {
+    collection.item.forEach((item, index) =>
+      validateItem(item, `item[${index}]`, check)
+    );
+  }
+
+  validateAuth(collection.auth, "auth", check);
+  validateList(collection.variable, "variable", check, validateVariable);
+  validateList(collection.event, "event", check, validateEvent);
+
+  return report;
+}
+
+function validateItem(item, path, check) {
+  if (!isObject(item)) {
+    check.error(path, "expected object");
+    return;
+  }
+
+  if (item.name == null) {
+    check.warn(`${path}.name`, "missing name, a default name is used");
+  } else if (typeof item.name !== "string") {
+    check.warn(`${path}.name`, "expected string");
+  }
+  validateDescription(item.description, `${path}.description`, check);
+  validateList(item.event, `${path}.event`, check, validateEvent);
+
+  // Folders
+  if (item.item !== undefined) {
+    if (!Array.isArray(item.item)) {
+      check.error(`${path}.item`, "expected array");
+      return;
+    }
+    item.item.forEach((subItem, index) =>
+      validateItem(subItem, `${path}.item[${index}]`, check)
+    );
+    validateAuth(item.auth, `${path}.auth`, check);
+    validateList(item.variable, `${path}.variable`, check, validateVariable);
+    return;
+  }
+
+  // Requests
+  if (item.request === undefined) {
+    check.warn(`${path}.request`, "required property is missing");
+  } else {
+    validateRequest(item.request, `${path}.request`, check);
+  }
+
+  validateList(item.response, `${path}.response`, check, (response, at) => {
+    if (!isObject(response)) {
+      check.error(at, "expected object");
+      return;
+    }
+    if (response.code !== undefined && !Number.isInteger(response.code)) {
+      check.warn(`${at}.code`, "expected integer");
+    }
+    if (response.body != null && typeof response.body !== "string") {
+      check.error(`${at}.body`, "expected string or null");
+    }
+    validateHeaders(response.header, `${at}.header`, check);
+    if (response.originalRequest !== undefined) {
+      validateRequest(response.originalRequest, `${at}.originalRequest`, check);
+    }
+  });
+}
+
+function validateRequest(request, path, check) {
+  // A request can be reduced to its URL
+  if (typeof request === "string") return;
+  if (!isObject(request)) {
+    check.error(path, "expected string or object");
+    return;
+  }
+
+  if (request.method !== undefined && typeof request.method !== "string") {
+    check.error(`${path}.method`, "expected string");
+  }
+  validateDescription(request.description, `${path}.description`, check);
+  validateUrl(request.url, `${path}.url`, check);
+  validateHeaders(request.header, `${path}.header`, check);
+  validateAuth(request.auth, `${path}.auth`, check);
+
+  const { body } = request;
+  if (body == null) return;
+  if (!isObject(body)) {
+    check.error(`${path}.body`, "expected object or null");
+    return;
+  }
+  if (body.mode === undefined) return;
+  if (!BODY_MODES.includes(body.mode)) {
+    check.warn(
+      `${path}.body.mode`,
+      `unknown mode '${body.mode}', expected one of: ${BODY_MODES.join(", ")}`
+    );
+    return;
+  }
+
+  const content = body[body.mode];
+  if (content == null) return;
+  if (body.mode === "raw" && typeof content !== "string") {
+    check.error(`${path}.body.raw`, "expected string");
+  } else if (
+    (body.mode === "urlencoded" || body.mode === "formdata") &&
+    !Array.isArray(content)
+  ) {
+    check.error(`${path}.body.${body.mode}`, "expected array");
+  } else if (
+    (body.mode === "graphql" || body.mode === "file") &&
+    !isObject(content)
+  ) {
+    check.error(`${path}.body.${body.mode}`, "expected object");
+  }
+}
+
+function validateUrl(url, path, check) {
+  if (url === undefined || typeof url === "string") return;
+  if (!isObject(url)) {
+    check.error(path, "expected string or object");
+    return;
+  }
+
+  if (url.raw !== undefined && typeof url.raw !== "string") {
+    check.error(`${path}.raw`, "expected string");
+  }
+  ["host", "path"].forEach((key) => {
+    const value = url[key];
+    if (
+      value !== undefined &&
+      typeof value !== "string" &&
+      !Array.isArray(value)
+    ) {
+      check.error(`${path}.${key}`, "expected string or array");
+    }
+  });
+  // Path segments are strings, or { type, value } objects
+  if (Array.isArray(url.path)) {
+    url.path.forEach((segment, index) => {
+      const at = `${path}.path[${index}]`;
+      if (typeof segment === "string") return;
+      if (!isObject(segment)) {
+        check.error(at, "expected string or object");
+      } else if (typeof segment.value !== "string") {
+        check.error(`${at}.value`, "expected string");
+      }
+    });
+  }
+  ["query", "variable"].forEach((key) => {
+    validateList(url[key], `${path}.${key}`, check, (param, at) => {
+      if (!isObject(param)) {
+        check.error(at, "expected object");
+      } else if (param.key != null && typeof param.key !== "string") {
+        check.error(`${at}.key`, "expected string or null");
+      }
+    });
+  });
+}
+
+function validateHeaders(headers, path, check) {
+  // v2.0 also allows headers as a single "Key: value" string
+  if (headers == null || typeof headers === "string") return;
+  validateList(headers, path, check, (header, at) => {
+    if (typeof header === "string") return;
+    if (!isObject(header)) {
+      check.error(at, "expected string or object");
+    } else if (typeof header.key !== "string") {
+      check.error(`${at}.key`, "expected string");
+    } else if (header.value != null && typeof header.value !== "string") {
+      check.error(`${at}.value`, "expected string or null");
+    }
+  });
+}
+
+function validateAuth(auth, path, check) {
+  if (auth == null) return;
+  if (!isObject(auth)) {
+    check.error(path, "expected object or null");
+  } else if (typeof auth.type !== "string") {
+    check.error(`${path}.type`, "expected string");
+  } else if (!AUTH_TYPES.includes(auth.type)) {
+    check.warn(`${path}.type`, `unknown auth type '${auth.type}'`);
+  }
+}
+
+function validateVariable(variable, path, check) {
+  if (!isObject(variable)) {
+    check.error(path, "expected object");
+  } else if (variable.key === undefined && variable.id === undefined) {
+    check.warn(path, "variable has no key");
+  }
+}
+
+function validateEvent(event, path, check) {
+  if (!isObject(event)) {
+    check.error(path, "expected object");
+  } else if (typeof event.listen !== "string") {
+    check.error(`${path}.listen`, "expected string");
+  }
+}
+
+function validateDescription(description, path, check) {
+  if (
+    description != null &&
+    typeof description !== "string" &&
+    !isObject(description)
+  ) {
+    check.error(path, "expected string, object or null");
+  }
+}
+
+function validateList(list, path, check, validateEntry) {
+  if (list === undefined) return;
+  if (!Array.isArray(list)) {
+    check.error(path, "expected array");
+    return;
+  }
+  list.forEach((entry, index) =>
+    validateEntry(entry, `${path}[${index}]`, check)
+  );
+}
+
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// One line per problem, e.g. "item[3].request.url: expected string or object"
+function formatProblems(problems) {
+  return problems
+    .map(({ path, message }) => `  - ${path ? `${path}: ` : ""}${message}`)
+    .join("\n");
+}
+
+export { validateCollection, formatProblems };
@@ -0,0 +1,83 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import { join } from "node:path";
+import { test } from "node:test";
+
+const CLI = new URL("../cli.js", import.meta.url).pathname;
+
+const collection = {
+  info: {
+    name: "Shapes",
+    schema:
+      "https://schema.getpostman.com/json/collection/v2.0.0/collection.json",
+  },
+  item: [{ name: "List users", request: "https://api.example.com/users" }],
+};
+
+// Run the CLI in a directory holding the given files
+function runCli(args, files = {}) {
+  const directory = fs.mkdtempSync(join(os.tmpdir(), "postman-to-html-"));
+  try {
+    Object.entries(files).forEach(([name, content]) => {
+      fs.writeFileSync(join(directory, name), JSON.stringify(content));
+    });
+    const { status, stdout, stderr } = spawnSync(
+      process.execPath,
+      [CLI, ...args],
+      { cwd: directory, encoding: "utf8", timeout: 30000 }
+    );
+    return { status, stdout, stderr };
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+test("--help lists the flags and --version prints the version", () => {
+  const help = runCli(["--help"]);
+  assert.equal(help.status, 0);
+  assert.match(help.stdout, /^Usage: /);
+  assert.match(help.stdout, /-o, --output <file>/);
+
+  const { version } = JSON.parse(
+    fs.readFileSync(new URL("../package.json", import.meta.url), "utf8")
+  );
+  assert.equal(runCli(["-v"]).stdout.trim(), version);
+});
+
+test("flags are read with spaced and = syntax, over the config file", () => {
+  const files = {
+    "collection.json": collection,
+    "postman-to-html.config.json": { language: "fr", format: "markdown" },
+  };
+
+  const spaced = runCli(
+    ["collection.json", "--format", "html", "--output", "-"],
+    files
+  );
+  assert.equal(spaced.status, 0, spaced.stderr);
+  assert.match(spaced.stdout, /<html lang="fr"/);
+
+  const equals = runCli(
+    ["collection.json", "--format=html", "--lang=en", "-o", "-"],
+    files
+  );
+  assert.equal(equals.status, 0, equals.stderr);
+  assert.match(equals.stdout, /<html lang="en"/);
+});
+
+test("unknown flags and config keys are rejected", () => {
+  const flag = runCli(["collection.json", "--colour"], {
+    "collection.json": collection,
+  });
+  assert.equal(flag.status, 1);
+  assert.match(flag.stderr, /colour/);
+
+  const config = runCli(["collection.json"], {
+    "collection.json": collection,
+    "postman-to-html.config.json": { colour: "red" },
+  });
+  assert.equal(config.status, 1);
+  assert.match(config.stderr, /Unknown option in config file .*: colour/);
+});
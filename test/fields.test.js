@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { inferFields, inferSchema } from "../lib/fields.js";
+
+test("array items are merged into one schema", () => {
+  assert.deepEqual(inferSchema([[{ a: 1 }, { b: "2" }]]), {
+    type: "array",
+    items: {
+      type: "object",
+      properties: { a: { type: "integer" }, b: { type: "string" } },
+    },
+  });
+});
+
+test("fields missing from some items are optional", () => {
+  const fields = inferFields([[{ a: 1 }, { b: "2" }]]);
+  assert.deepEqual(
+    fields.map(({ path, type, optional }) => ({ path, type, optional })),
+    [
+      { path: "[].a", type: "integer", optional: true },
+      { path: "[].b", type: "string", optional: true },
+    ]
+  );
+});
@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import { join } from "node:path";
+import { test } from "node:test";
+import { startPreviewServer } from "../lib/preview-server.js";
+
+test("pages are served with the live reload script", async () => {
+  const root = fs.mkdtempSync(join(os.tmpdir(), "postman-to-html-"));
+  fs.writeFileSync(
+    join(root, "api-doc.html"),
+    "<html><body><p>Docs</p></body></html>"
+  );
+  const server = await startPreviewServer({
+    root,
+    index: "api-doc.html",
+    port: 0,
+  });
+  const url = server.url.replace("localhost", "127.0.0.1");
+
+  try {
+    const page = await fetch(url);
+    assert.equal(page.status, 200);
+    const html = await page.text();
+    assert.match(html, /<p>Docs<\/p>/);
+    assert.match(html, /new EventSource\("\/__live-reload"\)[\s\S]*<\/body>/);
+
+    // Missing pages reload once they are generated
+    const missing = await fetch(`${url}missing.html`);
+    assert.equal(missing.status, 404);
+    assert.match(await missing.text(), /new EventSource/);
+  } finally {
+    await server.close();
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,821 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import { join } from "node:path";
+import { Readable } from "node:stream";
+import { test } from "node:test";
+import {
+  collectionToHTML,
+  renderCollection,
+  validateCollection,
+} from "../index.js";
+
+// Collections accepted by the validator must render in every format
+const FORMATS = ["html", "site", "markdown", "openapi"];
+
+const info = {
+  name: "Shapes",
+  schema:
+    "https://schema.getpostman.com/json/collection/v2.0.0/collection.json",
+};
+
+function renderAll(collection) {
+  assert.deepEqual(validateCollection(collection).errors, []);
+  return FORMATS.map((format) => {
+    const output = renderCollection(collection, { format });
+    return typeof output === "string" ? output : Object.values(output).join("");
+  });
+}
+
+test("items without a name get a default name", () => {
+  const collection = {
+    info,
+    item: [{ item: [{ request: "https://api.example.com/users" }] }],
+  };
+
+  renderAll(collection).forEach((output) => {
+    assert.match(output, /New Folder/);
+    assert.match(output, /New Request/);
+  });
+});
+
+test("URL paths given as a string are split into segments", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Get user",
+        request: {
+          method: "GET",
+          url: {
+            raw: "https://api.example.com/users/:id",
+            host: "api.example.com",
+            path: "users/:id",
+          },
+        },
+      },
+    ],
+  };
+
+  const [html] = renderAll(collection);
+  assert.match(html, /class="url-path">\/users\/:id</);
+});
+
+test("header strings are read as header entries", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Get user",
+        request: {
+          url: "https://api.example.com/users/1",
+          header: "Accept: application/json\nX-Trace: on",
+        },
+        response: [
+          {
+            name: "OK",
+            code: 200,
+            header: "Content-Type: application/json",
+            body: '{"id": 1}',
+          },
+        ],
+      },
+    ],
+  };
+
+  const [html] = renderAll(collection);
+  assert.match(html, /X-Trace/);
+  assert.match(html, /class="[^"]*language-json/);
+});
+
+test("URL path segments given as objects are read as their value", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Get user",
+        request: {
+          url: {
+            raw: "https://api.example.com/users/:id",
+            host: ["api", "example", "com"],
+            path: ["users", { type: "string", value: ":id" }],
+          },
+        },
+      },
+    ],
+  };
+
+  renderAll(collection).forEach((output) => {
+    assert.doesNotMatch(output, /\[object Object\]/);
+  });
+});
+
+test("headers with a value that is not a string are reported", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Get user",
+        request: "https://api.example.com/users/1",
+        response: [{ name: "OK", header: [{ key: "Content-Type", value: 1 }] }],
+      },
+    ],
+  };
+
+  assert.deepEqual(validateCollection(collection).errors, [
+    {
+      path: "item[0].response[0].header[0].value",
+      message: "expected string or null",
+    },
+  ]);
+  assert.throws(
+    () => renderCollection(collection),
+    /Invalid Postman collection/
+  );
+});
+
+test("binary bodies pass strict validation", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Upload",
+        request: {
+          method: "PUT",
+          url: "https://api.example.com/files/1",
+          body: { mode: "binary", binary: "report.pdf" },
+        },
+      },
+    ],
+  };
+
+  assert.doesNotThrow(() => renderCollection(collection, { strict: true }));
+});
+
+test("collectionToHTML reads streams and writes each format to its default output", async () => {
+  const directory = fs.mkdtempSync(join(os.tmpdir(), "postman-to-html-"));
+  const cwd = process.cwd();
+  const collection = JSON.stringify({
+    info,
+    item: [{ name: "List users", request: "https://api.example.com/users" }],
+  });
+  process.chdir(directory);
+  try {
+    assert.equal(
+      await collectionToHTML(Readable.from([collection])),
+      "api-doc.html"
+    );
+    assert.match(fs.readFileSync("api-doc.html", "utf8"), /List users/);
+    assert.equal(
+      await collectionToHTML(Readable.from([collection]), { format: "site" }),
+      "site"
+    );
+    assert.ok(fs.statSync("site/index.html").isFile());
+    assert.equal(
+      await collectionToHTML(Readable.from([collection]), {
+        format: "markdown",
+      }),
+      "api-docs"
+    );
+    assert.ok(fs.statSync("api-docs/index.md").isFile());
+  } finally {
+    process.chdir(cwd);
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test("renderCollection passes warnings to onWarning instead of printing them", () => {
+  const warnings = [];
+  renderCollection(
+    { info: { name: "No schema" }, item: [] },
+    { onWarning: (message) => warnings.push(message) }
+  );
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /info\.schema: missing schema URL/);
+});
+
+test("the OpenAPI schema of a response is inferred from all its examples", () => {
+  const example = (name, body) => ({
+    name,
+    code: 200,
+    header: [{ key: "Content-Type", value: "application/json" }],
+    body: JSON.stringify(body),
+  });
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Get user",
+        request: { method: "GET", url: "https://api.example.com/users/1" },
+        response: [
+          example("User", { id: 1, name: "Ada" }),
+          example("User with email", { id: 2, email: "bob@example.com" }),
+        ],
+      },
+    ],
+  };
+
+  const document = JSON.parse(
+    renderCollection(collection, { format: "openapi-json" })
+  );
+  const media =
+    document.paths["/users/1"].get.responses["200"].content["application/json"];
+  assert.deepEqual(Object.keys(media.examples), ["user", "user-with-email"]);
+  assert.deepEqual(Object.keys(media.schema.properties), [
+    "id",
+    "name",
+    "email",
+  ]);
+});
+
+test("items with the same anchor get distinct ids and pages", () => {
+  const request = (name) => ({
+    name,
+    request: { method: "GET", url: "https://api.example.com/users" },
+  });
+  const collection = {
+    info,
+    item: [
+      { name: "Users", item: [request("List users"), request("List users")] },
+      { name: "المستخدمون", item: [request("قائمة"), request("إنشاء")] },
+      { name: "الطلبات", item: [request("قائمة")] },
+    ],
+  };
+
+  const site = renderCollection(collection, { format: "site" });
+  const pages = Object.keys(site).filter(
+    (fileName) => fileName.endsWith(".html") && fileName !== "index.html"
+  );
+  assert.deepEqual(pages, [
+    "folder-users.html",
+    "endpoint-users-list-users.html",
+    "endpoint-users-list-users-2.html",
+    "folder-المستخدمون.html",
+    "endpoint-المستخدمون-قائمة.html",
+    "endpoint-المستخدمون-إنشاء.html",
+    "folder-الطلبات.html",
+    "endpoint-الطلبات-قائمة.html",
+  ]);
+
+  const searchIndex = JSON.parse(site["search-index.json"]);
+  assert.deepEqual(
+    searchIndex.map((entry) => entry.href),
+    pages
+  );
+
+  const html = renderCollection(collection);
+  const ids = [...html.matchAll(/ id="((?:folder|endpoint)-[^"]*)"/g)].map(
+    ([, id]) => id
+  );
+  assert.deepEqual(
+    ids,
+    pages.map((fileName) => fileName.replace(/\.html$/, ""))
+  );
+  ids.forEach((id) => assert.match(html, new RegExp(`href="#${id}"`)));
+});
+
+test("the print contents page numbers sections and references pages", () => {
+  const collection = {
+    info,
+    item: [
+      { name: "Users", item: [{ name: "List users", request: "/users" }] },
+    ],
+  };
+
+  const html = renderCollection(collection, { print: true });
+  assert.match(html, /content: counters\(toc-entry, "\."\) "\.";/);
+  assert.match(html, /target-counter\(attr\(href\), page\)/);
+});
+
+test("the Try it panel prefills Basic credentials only when they are variables", () => {
+  const basic = (username, password) => ({
+    type: "basic",
+    basic: [
+      { key: "username", value: username },
+      { key: "password", value: password },
+    ],
+  });
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Literal",
+        request: {
+          method: "GET",
+          url: "https://api.example.com/a",
+          auth: basic("admin", "hunter2"),
+        },
+      },
+      {
+        name: "Variables",
+        request: {
+          method: "GET",
+          url: "https://api.example.com/b",
+          auth: basic("{{user}}", "{{pass}}"),
+        },
+      },
+    ],
+  };
+
+  const html = renderCollection(collection, { tryIt: true });
+  const fields = [...html.matchAll(/<input name="(username|password)"[^>]*>/g)];
+  assert.deepEqual(
+    fields.map(([field]) => field.match(/value="([^"]*)"/)[1]),
+    ["", "", "{{user}}", "{{pass}}"]
+  );
+  assert.doesNotMatch(html, /admin|hunter2/);
+});
+
+test("variables are resolved from the environment and secrets stay hidden", () => {
+  const collection = {
+    info,
+    variable: [
+      { key: "host", value: "api.example.com" },
+      { key: "version", value: "v1" },
+    ],
+    item: [
+      {
+        name: "List users",
+        request: {
+          method: "GET",
+          url: "https://{{host}}/{{version}}/users",
+          header: [{ key: "X-Api-Key", value: "{{apiKey}}" }],
+        },
+      },
+    ],
+  };
+  const environment = {
+    name: "Staging",
+    values: [
+      { key: "host", value: "staging.example.com", enabled: true },
+      { key: "apiKey", value: "s3cr3t", type: "secret", enabled: true },
+    ],
+  };
+
+  FORMATS.forEach((format) => {
+    const output = renderCollection(collection, { format, environment });
+    const text =
+      typeof output === "string" ? output : Object.values(output).join("");
+    assert.match(text, /staging\.example\.com/);
+    assert.doesNotMatch(text, /\{\{host\}\}|\{\{version\}\}/);
+    assert.doesNotMatch(text, /s3cr3t/);
+  });
+  assert.match(
+    renderCollection(collection, { environment }),
+    /<span class="variable secret" title="[^"]*">\{\{apiKey\}\}<\/span>/
+  );
+});
+
+test("authentication is inherited from folders and credentials are masked", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Admin",
+        auth: {
+          type: "basic",
+          basic: [
+            { key: "username", value: "admin" },
+            { key: "password", value: "hunter2" },
+          ],
+        },
+        item: [
+          { name: "Stats", request: "https://api.example.com/stats" },
+          {
+            name: "Health",
+            request: {
+              method: "GET",
+              url: "https://api.example.com/health",
+              auth: { type: "noauth" },
+            },
+          },
+        ],
+      },
+    ],
+  };
+
+  const html = renderCollection(collection);
+  assert.match(html, /Inherited from Admin/);
+  assert.match(html, /This request does not use any authentication/);
+  assert.match(html, /<span class="masked">••••••••<\/span>/);
+  assert.doesNotMatch(html, /hunter2/);
+});
+
+test("code samples are generated in the chosen languages", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Create user",
+        request: {
+          method: "POST",
+          url: "https://api.example.com/users",
+          body: {
+            mode: "raw",
+            raw: '{"name":"Ada"}',
+            options: { raw: { language: "json" } },
+          },
+        },
+      },
+    ],
+  };
+
+  const html = renderCollection(collection, {
+    snippets: ["curl", "python"],
+    highlight: false,
+  });
+  assert.match(html, /curl -X POST 'https:\/\/api\.example\.com\/users'/);
+  assert.match(html, /-H 'Content-Type: application\/json'/);
+  assert.match(html, /import requests/);
+  assert.doesNotMatch(html, /JavaScript \(fetch\)/);
+  assert.doesNotMatch(
+    renderCollection(collection, { snippets: [] }),
+    /class="tab-list"/
+  );
+});
+
+test("collection content is escaped", () => {
+  const collection = {
+    info: { ...info, name: "<img src=x onerror=alert(1)>" },
+    item: [
+      {
+        name: "<script>alert(1)</script>",
+        request: {
+          method: "GET",
+          url: "https://api.example.com/users",
+          description: "Lists users <script>alert(2)</script>",
+        },
+      },
+    ],
+  };
+
+  const html = renderCollection(collection);
+  assert.doesNotMatch(html, /<script>alert/);
+  assert.doesNotMatch(html, /<img src=x/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+});
+
+test("every request body mode is documented", () => {
+  const request = (name, body) => ({
+    name,
+    request: { method: "POST", url: "https://api.example.com/x", body },
+  });
+  const collection = {
+    info,
+    item: [
+      request("Form", {
+        mode: "urlencoded",
+        urlencoded: [{ key: "grant_type", value: "password" }],
+      }),
+      request("Upload", {
+        mode: "formdata",
+        formdata: [{ key: "avatar", type: "file", src: "avatar.png" }],
+      }),
+      request("Query", {
+        mode: "graphql",
+        graphql: { query: "query { viewer { login } }", variables: "" },
+      }),
+      request("File", { mode: "file", file: { src: "data.bin" } }),
+    ],
+  };
+
+  const [html, , markdown] = renderAll(collection);
+  [html, markdown].forEach((output) => {
+    assert.match(output, /grant_type/);
+    assert.match(output, /avatar/);
+    assert.match(output, /viewer/);
+    assert.match(output, /data\.bin/);
+  });
+});
+
+test("response examples show their status, headers and request", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Create user",
+        request: { method: "POST", url: "https://api.example.com/users" },
+        response: [
+          {
+            name: "Created",
+            code: 201,
+            status: "Created",
+            header: [{ key: "Location", value: "/users/7" }],
+            body: '{"id":7}',
+            originalRequest: {
+              method: "POST",
+              url: "https://api.example.com/users?dry_run=false",
+            },
+          },
+        ],
+      },
+    ],
+  };
+
+  const html = renderCollection(collection);
+  assert.match(html, /201/);
+  assert.match(html, /Created/);
+  assert.match(html, /Location/);
+  assert.match(html, /dry_run=false/);
+});
+
+test("path variables and description objects are documented", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Get user",
+        description: { content: "Returns **one** user", type: "text/markdown" },
+        request: {
+          method: "GET",
+          url: {
+            raw: "https://api.example.com/users/:id",
+            host: ["api", "example", "com"],
+            path: ["users", ":id"],
+            variable: [
+              {
+                key: "id",
+                value: "42",
+                description: { content: "The user id", type: "text/plain" },
+              },
+            ],
+          },
+        },
+      },
+    ],
+  };
+
+  const html = renderCollection(collection);
+  assert.match(html, /<strong>one<\/strong>/);
+  assert.match(html, /The user id/);
+  assert.match(html, /42/);
+});
+
+test("items and parameters are filtered out as configured", () => {
+  const request = (name, method, description = "") => ({
+    name,
+    request: {
+      method,
+      url: "https://api.example.com/x?debug=1&page=2",
+      header: [{ key: "X-Internal", value: "yes" }],
+      description,
+    },
+  });
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Users",
+        item: [
+          request("List users", "GET"),
+          request("Delete user", "DELETE"),
+          request("Audit users", "GET", "@internal"),
+        ],
+      },
+      { name: "Admin", item: [request("Stats", "GET")] },
+    ],
+  };
+
+  const html = renderCollection(collection, {
+    include: ["Users/**"],
+    hideMethods: ["delete"],
+    hiddenQueryParams: ["debug"],
+    hiddenHeaders: ["x-internal"],
+  });
+  assert.match(html, /List users/);
+  assert.doesNotMatch(html, /Delete user|Audit users|Stats|Admin/);
+  assert.doesNotMatch(html, /debug|X-Internal/);
+  assert.match(html, /page=2/);
+
+  assert.doesNotMatch(
+    renderCollection(collection, { exclude: ["Users/List*"] }),
+    /List users/
+  );
+});
+
+test("invalid collections are reported with the path of each problem", () => {
+  const { errors } = validateCollection({
+    info,
+    item: [
+      { name: "Get user", request: { method: 5, url: "/users" } },
+      "not an item",
+    ],
+  });
+  assert.deepEqual(
+    errors.map((error) => error.path),
+    ["item[0].request.method", "item[1]"]
+  );
+  assert.throws(() => renderCollection({ item: [] }), /info/);
+});
+
+test("OpenAPI documents are read as collections", () => {
+  const spec = {
+    openapi: "3.0.3",
+    info: { title: "Pets", version: "1.0.0" },
+    servers: [{ url: "https://pets.example.com" }],
+    paths: {
+      "/pets/{petId}": {
+        get: {
+          tags: ["Pets"],
+          summary: "Get a pet",
+          parameters: [
+            { name: "petId", in: "path", required: true, schema: {} },
+          ],
+          responses: { 200: { description: "A pet" } },
+        },
+      },
+    },
+  };
+
+  const html = renderCollection(spec);
+  assert.match(html, /Pets/);
+  assert.match(html, /Get a pet/);
+  assert.match(html, /pets\.example\.com\/pets\/:petId/);
+});
+
+test("the Markdown output has a file per top-level folder linked from the index", () => {
+  const collection = {
+    info,
+    item: [
+      { name: "Users", item: [{ name: "List users", request: "/users" }] },
+      { name: "Health", request: "/health" },
+    ],
+  };
+
+  const files = renderCollection(collection, { format: "markdown" });
+  assert.deepEqual(Object.keys(files), ["index.md", "users.md"]);
+  assert.match(
+    files["index.md"],
+    /- \[List users\]\(users\.md#endpoint-users-list-users\)/
+  );
+  assert.match(files["index.md"], /Health/);
+  assert.match(files["users.md"], /<a id="endpoint-users-list-users"><\/a>/);
+});
+
+test("the search index lists the endpoints with their parameters", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Search users",
+        request: {
+          method: "GET",
+          url: {
+            raw: "https://api.example.com/users?query=ada",
+            host: ["api", "example", "com"],
+            path: ["users"],
+            query: [{ key: "query", value: "ada" }],
+          },
+        },
+      },
+    ],
+  };
+
+  const { "search-index.json": searchIndex } = renderCollection(collection, {
+    format: "site",
+  });
+  const [entry] = JSON.parse(searchIndex);
+  assert.equal(entry.title, "Search users");
+  assert.equal(entry.method, "GET");
+  assert.deepEqual(entry.params, ["query"]);
+  assert.match(renderCollection(collection), /window\.searchIndex = \[/);
+});
+
+test("code blocks are highlighted unless disabled", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Create user",
+        request: {
+          method: "POST",
+          url: "https://api.example.com/users",
+          body: {
+            mode: "raw",
+            raw: '{"id":1}',
+            options: { raw: { language: "json" } },
+          },
+        },
+      },
+    ],
+  };
+
+  assert.match(
+    renderCollection(collection),
+    /<span class="hl-property">&quot;id&quot;<\/span>/
+  );
+  const plain = renderCollection(collection, {
+    highlight: false,
+    lineNumbers: false,
+  });
+  assert.doesNotMatch(plain, /<span class="hl-/);
+  assert.doesNotMatch(plain, /class="line-numbers-rows"/);
+});
+
+test("themes, method colors and custom CSS are applied", () => {
+  const collection = { info, item: [] };
+
+  const html = renderCollection(collection, {
+    theme: "dark",
+    themeVariables: { "primary-color": "#123456" },
+    methodColors: { get: "#00ff00" },
+    customCss: ".endpoint { border: 0 }",
+  });
+  assert.match(html, /<html lang="en" dir="ltr" data-theme="dark">/);
+  assert.match(html, /--primary-color: #123456/);
+  assert.match(html, /#00ff00/);
+  assert.match(html, /\.endpoint \{ border: 0 \}/);
+  assert.throws(() => renderCollection(collection, { theme: "sepia" }));
+});
+
+test("templates and hooks replace and extend the markup", () => {
+  const collection = {
+    info,
+    item: [{ name: "List users", request: "https://api.example.com/users" }],
+  };
+
+  const html = renderCollection(collection, {
+    templates: {
+      footer: (footer, { escapeHtml }) =>
+        `<p class="legal">${escapeHtml(footer.name)} is confidential</p>`,
+    },
+    hooks: {
+      afterEndpoint: (endpoint, { escapeHtml }) =>
+        `<div class="rate-limit">${escapeHtml(endpoint.name)}</div>`,
+    },
+  });
+  assert.match(html, /<p class="legal">Shapes is confidential<\/p>/);
+  assert.match(html, /<div class="rate-limit">List users<\/div>/);
+  assert.throws(
+    () => renderCollection(collection, { templates: { unknown: () => "" } }),
+    /unknown/
+  );
+});
+
+test("the documentation is translated, with custom translations", () => {
+  const collection = {
+    info,
+    item: [{ name: "List users", request: "https://api.example.com/users" }],
+  };
+
+  const html = renderCollection(collection, {
+    language: "fr",
+    translations: { overview: "Présentation générale" },
+  });
+  assert.match(html, /<html lang="fr" dir="ltr"/);
+  assert.match(html, /Présentation générale/);
+  assert.doesNotMatch(html, />Overview</);
+  assert.match(
+    renderCollection(collection, { language: "ar" }),
+    /<html lang="ar" dir="rtl"/
+  );
+});
+
+test("pre-request and test scripts are shown on request", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "List users",
+        request: "https://api.example.com/users",
+        event: [
+          {
+            listen: "test",
+            script: { exec: ['pm.test("returns 200", () => {});'] },
+          },
+        ],
+      },
+    ],
+  };
+
+  assert.match(
+    renderCollection(collection, { showScripts: true }),
+    /<ul class="expected-behavior"><li>returns 200<\/li><\/ul>/
+  );
+  assert.doesNotMatch(renderCollection(collection), /returns 200/);
+});
+
+test("field tables are inferred from JSON examples", () => {
+  const collection = {
+    info,
+    item: [
+      {
+        name: "Get user",
+        request: "https://api.example.com/users/1",
+        response: [
+          {
+            name: "OK",
+            code: 200,
+            body: '{"id":1,"profile":{"email":"ada@example.com"}}',
+          },
+        ],
+      },
+    ],
+  };
+
+  assert.match(renderCollection(collection), /profile\.email/);
+  assert.doesNotMatch(
+    renderCollection(collection, { fieldTables: false }),
+    /profile\.email/
+  );
+});